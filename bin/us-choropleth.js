@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * The command line interface rendering the maps in Node, e.g.
+ *
+ * us-choropleth --file data.csv --index FIPS --column Births_2016 --out births.svg --png births.png
+ * us-choropleth --config map.json --out map.svg
+ * us-choropleth --batch maps.json
+ *
+ * The command runs the sources compiled into the lib folder by
+ * "npm run build:node", which npm runs on install.
+ */
+const fs = require('fs');
+const path = require('path');
+const { renderToFiles, renderBatch } = require('../lib/node');
+
+const USAGE = `Usage:
+  us-choropleth --config <config.json> [options]
+  us-choropleth --file <data.csv> --index <column> --column <column> [options]
+  us-choropleth --batch <manifest.json>
+
+Options:
+  --title <text>     the title of the map
+  --map <topology>   the topojson file of the map
+  --level <level>    "states" or "counties"
+  --year <year>      the year of the time mode to show
+  --out <file.svg>   the svg file to write
+  --png <file.png>   the png file to write
+  --scale <number>   the factor the png image is enlarged by, 1 by default
+  --help             show this message`;
+
+/** The options taking a value, by their names in the configuration */
+const OPTIONS = {
+  config: 'config',
+  batch: 'batch',
+  file: 'fileUrl',
+  index: 'indexColName',
+  column: 'dataColName',
+  title: 'title',
+  map: 'mapUrl',
+  level: 'statisLevel',
+  year: 'year',
+  out: 'svg',
+  png: 'png',
+  scale: 'scale'
+};
+
+/**
+ * This function parses the command line arguments into an object keyed by
+ * the names in OPTIONS.
+ *
+ * @param {Array} args the command line arguments
+ * @returns {object} the options
+ */
+function parseArgs (args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (name === 'help') {
+      options.help = true;
+    } else if (!Object.prototype.hasOwnProperty.call(OPTIONS, name) || args[i] === name) {
+      throw new Error(`Unknown option: ${args[i]}`);
+    } else if (i + 1 >= args.length) {
+      throw new Error(`Missing the value of the option: ${args[i]}`);
+    } else {
+      options[OPTIONS[name]] = args[++i];
+    }
+  }
+  return options;
+}
+
+/**
+ * This function reads a json file.
+ *
+ * @param {string} file path of the file
+ * @returns {object} the parsed json
+ */
+function readJson (file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * This function runs the command and returns the list of the written paths
+ * within a promise object.
+ *
+ * @param {object} options the parsed options
+ * @returns {object} a promise object
+ */
+function run (options) {
+  if (options.batch) {
+    return renderBatch(readJson(options.batch), {
+      baseDir: path.dirname(path.resolve(options.batch))
+    });
+  }
+
+  const config = options.config ? readJson(options.config) : {};
+  ['title', 'fileUrl', 'indexColName', 'dataColName', 'mapUrl', 'statisLevel'].forEach(
+    name => {
+      if (options[name] !== undefined) config[name] = options[name];
+    }
+  );
+  if (!config.fileUrl || !config.indexColName || (!config.dataColName && !config.timeSeries)) {
+    throw new Error('A data file, its index column and its data column are needed');
+  }
+  if (!options.svg && !options.png) {
+    throw new Error('An output file is needed, use --out or --png');
+  }
+  return renderToFiles(
+    config,
+    { svg: options.svg, png: options.png },
+    {
+      baseDir: options.config ? path.dirname(path.resolve(options.config)) : process.cwd(),
+      year: options.year,
+      scale: options.scale ? parseFloat(options.scale) : 1
+    }
+  );
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !process.argv[2]) {
+    console.log(USAGE);
+  } else {
+    run(options)
+      .then(paths => paths.forEach(file => console.log(file)))
+      .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+      });
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,4288 @@
+import * as d3 from 'd3';
+import { legendColor } from 'd3-svg-legend';
+import * as topojson from 'topojson-client';
+import { aggregateCounties, getNationalMean, isAggregationMethod } from './aggregate';
+import {
+  getBreaks,
+  getSchemeColors,
+  hasSchemeColors,
+  isClassificationMethod
+} from './classify';
+import { bivariateScale } from './bivariate';
+import { TOOLTIP_STYLES, defaultTooltip, fillTemplate, ordinal } from './tooltip';
+import { clearCache, loadJson } from './loader';
+import { createRenderer, isRenderer } from './renderer';
+import { compileExpression, perCapita, percentChange } from './expression';
+import { getDomain, isDivergingScale, isMidpoint } from './scale';
+import { STATE_ABBREVIATIONS, getRegionLabel, normalizeFips } from './fips';
+import { loadSource } from './source';
+import { createJoinResolver, isJoinKey } from './join';
+import { getColorMatrix, isColorBlindness } from './colorblind';
+import { getDifference, isDifferenceMode } from './difference';
+import { LABEL_FONT_SIZE, getLabelAnchors, isLabelType, placeLabels } from './labels';
+import {
+  ARROW_DIRECTIONS,
+  VISUALLY_HIDDEN_STYLES,
+  findNeighbor,
+  getNavigation
+} from './navigation';
+
+/**
+ * The number of instances created so far. It is used to give each instance
+ * a unique prefix for the ids of the elements it generates.
+ */
+let instanceCount = 0;
+
+/**
+ * The css properties inlined into the exported svg.
+ */
+const EXPORT_STYLES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'text-anchor',
+  'dominant-baseline'
+];
+
+/**
+ * The height of the title drawn above the exported map.
+ */
+const EXPORT_TITLE_HEIGHT = 40;
+
+/**
+ * The view box of the svg the map is drawn in, as [x, y, width, height].
+ */
+const VIEW_BOX = [0, 0, 975, 620];
+
+/**
+ * The smallest distance in pixels between the legends and the right edge
+ * of the map.
+ */
+const LEGEND_MARGIN = 5;
+
+/**
+ * The distance in pixels the map is panned by the keyboard, and the factor
+ * it is zoomed by.
+ */
+const KEYBOARD_PAN_STEP = 50;
+const KEYBOARD_ZOOM_FACTOR = 1.5;
+
+/**
+ * The keyboard help read out by the screen readers once the map is focused.
+ */
+const KEYBOARD_HELP =
+  'Use the arrow keys or Tab to move between the regions, Enter to select a region, ' +
+  'plus and minus to zoom, Shift with the arrow keys to pan, 0 to reset the zoom ' +
+  'and Escape to leave the map.';
+
+/**
+ * This function checks whether a value is missing, i.e. it is blank,
+ * suppressed (parsed as NaN) or has no matching row.
+ *
+ * @param {number} value the value to check
+ * @returns {boolean} true if the value is missing
+ */
+const isMissing = value => value === undefined || value === null || isNaN(value);
+
+/**
+ * This function checks whether the element of the zoom or the brush could
+ * be touched. It reads the navigator of the element's window, as Node has
+ * no global one.
+ *
+ * @returns {boolean} true if the element could be touched
+ */
+const isTouchable = function () {
+  const view = this.ownerDocument.defaultView;
+  return view.navigator.maxTouchPoints || 'ontouchstart' in this;
+};
+
+/**
+ * This function returns the format of the values shown by the legends and
+ * the labels. Large values are shortened by SI prefixes, e.g. "490k", while
+ * smaller values, e.g. rates and changes in percent, are given with the
+ * decimals of a hundredth of the largest one instead of milli prefixes.
+ * The specifier is also read by d3-svg-legend, so it keeps to the
+ * specifiers of its older d3-format, e.g. without "~".
+ *
+ * @param {Array} values the values to format
+ * @returns {Function} the d3 format function
+ */
+const getLegendFormat = values => {
+  const magnitude = d3.max(values, value => (isMissing(value) ? undefined : Math.abs(value)));
+  if (magnitude >= 1000) return d3.format('.2s');
+  return d3.format(`,.${magnitude ? d3.precisionFixed(magnitude / 100) : 0}f`);
+};
+
+/**
+ * This function returns the name of a d3 function or scheme, e.g.
+ * "interpolateBlues" for d3.interpolateBlues, so that it could be serialised.
+ * The value itself is returned if it is not part of d3.
+ *
+ * @param {*} value a d3 function or scheme
+ * @returns {*} the name of the value in d3
+ */
+const toD3Name = value => Object.keys(d3).find(name => d3[name] === value) || value;
+
+/**
+ * This function returns the d3 function or scheme of the given name,
+ * the reverse of toD3Name. Values other than names are returned as they are.
+ *
+ * @param {*} name name of a d3 function or scheme
+ * @returns {*} the d3 function or scheme
+ */
+const fromD3Name = name => {
+  if (typeof name !== 'string') return name;
+  if (!d3[name]) {
+    throw new Error(`No d3 function or scheme found with the name: ${name}`);
+  }
+  return d3[name];
+};
+
+/**
+ * The GeoJSON features of each level of the loaded topologies, kept so that
+ * they are only converted once and the drawn regions could keep their data
+ * when only the values change.
+ */
+const featureCache = new WeakMap();
+
+/**
+ * This function returns the GeoJSON features of the geometries of a level
+ * of the topology, converting them if they are not cached yet.
+ *
+ * @param {object} json the topology
+ * @param {string} level the object of the topology, "states" or "counties"
+ * @param {object} [drillState] the state being drilled down into
+ * @param {Array} geometries the geometries of the level being shown
+ * @returns {Array} the GeoJSON features
+ */
+const getFeatures = (json, level, drillState, geometries) => {
+  if (!featureCache.has(json)) featureCache.set(json, new Map());
+  const features = featureCache.get(json);
+  const key = `${level}:${drillState ? drillState.fips : ''}`;
+  if (!features.has(key)) {
+    features.set(
+      key,
+      topojson.feature(json, { type: 'GeometryCollection', geometries: geometries })
+        .features
+    );
+  }
+  return features.get(key);
+};
+
+/**
+ * The functions finding the keys of the rows for each loaded topology, and
+ * the rows of each loaded dataset joined by these functions, kept so that
+ * the rows are only joined once and each column is only parsed once.
+ */
+const resolverCache = new WeakMap();
+const joinCache = new WeakMap();
+
+/**
+ * This function joins the rows of a dataset to the regions, joining them if
+ * they are not cached yet. The columns parsed from the joined rows are
+ * kept in the columns map, see parseColumn.
+ *
+ * @param {Array} csv rows of the dataset
+ * @param {Function} resolve the function finding the key of a row, see getJoinResolver
+ * @returns {object} {keys, rows, unmatchedRows, columns} where keys are the
+ * keys of the rows in order, rows maps each key to its row, and
+ * unmatchedRows are the rows matching no region
+ */
+const joinRows = (csv, resolve) => {
+  if (!joinCache.has(csv)) joinCache.set(csv, new Map());
+  const joins = joinCache.get(csv);
+  if (!joins.has(resolve)) {
+    const keys = csv.map(row => resolve(row));
+    const rows = new Map();
+    const unmatchedRows = [];
+    csv.forEach((row, i) => {
+      if (isNaN(keys[i])) {
+        unmatchedRows.push(row);
+      } else {
+        rows.set(keys[i], row);
+      }
+    });
+    joins.set(resolve, {
+      keys: keys,
+      rows: rows,
+      unmatchedRows: unmatchedRows,
+      columns: new Map()
+    });
+  }
+  return joins.get(resolve);
+};
+
+class USChoropleth {
+  /**
+   * The main class that visualises the data on an US choropleth map.
+   * Instances can be created from this class and properties can be acquired and
+   * modified via the set/get functions provided.
+   *
+   * @constructor
+   * @param {string} title - The title of the graph
+   * @param {string|Array|object} fileUrl - The data source of the dataset, see setFileUrl
+   * @param {string} indexColName - The column name of the FIPS code index of the data
+   * @param {string} dataColName - The column name of the data by regions
+   * @param {string} [mapUrl = /static/counties-albers-10m.json] - The file url of the US map
+   */
+  constructor (
+    title,
+    fileUrl,
+    indexColName,
+    dataColName,
+    mapUrl = '/static/counties-albers-10m.json'
+  ) {
+    this.title = title;
+    this.mapUrl = mapUrl;
+    this.fileUrl = fileUrl;
+    this.indexColName = indexColName;
+    this.dataColName = dataColName;
+    this.joinKey = { type: 'fips', stateColName: undefined };
+    this.valueExpression = undefined;
+    this.scaleFunction = d3.scaleSequential;
+    this.midpoint = 0;
+    this.domain = undefined;
+    this.interpolateColor = d3.interpolateViridis;
+    this.colorBlindPreview = undefined;
+    this.legendStep = 6;
+    this.statisLevel = 'states';
+    this.strokeColor = 'white';
+    this.renderer = 'svg';
+    this.aggregation = undefined;
+    this.timePrefix = undefined;
+    this.timeInterval = 1000;
+    this.timeState = undefined;
+    this.classification = undefined;
+    this.bivariate = undefined;
+    this.symbols = undefined;
+    this.difference = undefined;
+    this.labelType = undefined;
+    this.labelItems = [];
+    this.annotations = [];
+    this.histogramShown = false;
+    this.brushRange = undefined;
+    this.missingStyle = { fill: '#ddd', hatch: true };
+    this.tooltipFormatter = defaultTooltip;
+    this.valueFormat = ',.2~f';
+    this.id = `USChoropleth-${++instanceCount}`;
+    this.container = undefined;
+    this.svg = undefined;
+    this.titleNode = undefined;
+    this.mapGroup = undefined;
+    this.symbolGroup = undefined;
+    this.layerGroup = undefined;
+    this.labelGroup = undefined;
+    this.annotationGroup = undefined;
+    this.defs = undefined;
+    this.regions = undefined;
+    this.legend = undefined;
+    this.missingLegend = undefined;
+    this.symbolLegend = undefined;
+    this.renderData = undefined;
+    this.rendering = undefined;
+    this.renderToken = 0;
+    this.dirty = {};
+    this.dirtyCount = 0;
+    this.tooltip = undefined;
+    this.controls = [];
+    this.search = undefined;
+    this.drillState = undefined;
+    this.drillZoom = false;
+    this.selection = [];
+    this.pinned = undefined;
+    this.focusedRegion = undefined;
+    this.movingFocus = false;
+    this.dataTable = undefined;
+    this.histogram = undefined;
+    this.pendingZoom = undefined;
+    this.hashKey = undefined;
+    this.hashListener = undefined;
+    this.plugins = [];
+    this.dispatch = d3.dispatch(
+      'render',
+      'regionhover',
+      'regionclick',
+      'zoom',
+      'dataerror',
+      'levelchange',
+      'drilldown',
+      'drillup',
+      'selectionchange',
+      'brushchange'
+    );
+
+    /** The bin of the region under the cursor is marked on the histogram */
+    this.dispatch.on('regionhover.histogram', context => {
+      this.markBin(context ? context.value : undefined);
+    });
+    this.zoom = d3
+      .zoom()
+      .scaleExtent([0.5, 8])
+      .extent(() => {
+        /** The view box is read from the attribute, which works without a browser */
+        const [x, y, width, height] = this.getViewBox();
+        return [[x, y], [x + width, y + height]];
+      })
+      .touchable(isTouchable)
+      .on('zoom', () => {
+        if (this.regions) {
+          this.regions.zoom(d3.event.transform);
+          this.symbolGroup.attr('transform', d3.event.transform);
+          this.layerGroup.attr('transform', d3.event.transform);
+          this.drawLabels();
+        }
+        if (this.pinned) {
+          this.pinTooltip(this.pinned);
+        }
+        this.dispatch.call('zoom', this, d3.event.transform);
+      })
+      .on('end', () => {
+        this.writeHash();
+      });
+  }
+
+  /**
+   * This function creates an instance from a configuration object, see
+   * toConfig for the properties it may hold.
+   *
+   * @param {object} config the configuration object
+   * @returns {USChoropleth} the instance
+   * @memberof USChoropleth
+   */
+  static fromConfig (config) {
+    const app = new USChoropleth(
+      config.title,
+      config.fileUrl,
+      config.indexColName,
+      config.dataColName,
+      config.mapUrl
+    );
+    app.applyConfig(config);
+    return app;
+  }
+
+  /**
+   * This function creates an instance from the configuration stored under
+   * the given key in the URL hash, see syncHash. It returns undefined if
+   * the URL hash has no such configuration.
+   *
+   * @param {string} key the key of the configuration in the URL hash
+   * @returns {USChoropleth} the instance
+   * @memberof USChoropleth
+   */
+  static fromHash (key) {
+    const config = USChoropleth.readHash(key);
+    return config && USChoropleth.fromConfig(config);
+  }
+
+  /**
+   * This function empties the cache of the loaded csv and json files, which
+   * is shared by all instances, so that the files are fetched again the
+   * next time they are loaded, e.g. after they are changed on the server.
+   *
+   * @memberof USChoropleth
+   */
+  static clearCache () {
+    clearCache();
+  }
+
+  /**
+   * This function returns the value expression of the percent change from
+   * one column to another, see setValueExpression.
+   *
+   * @param {string} from name of the column of the old values
+   * @param {string} to name of the column of the new values
+   * @returns {object} the value expression
+   * @memberof USChoropleth
+   */
+  static percentChange (from, to) {
+    return percentChange(from, to);
+  }
+
+  /**
+   * This function returns the value expression of a column normalised by
+   * the population, see setValueExpression.
+   *
+   * @param {string} column name of the column to normalise
+   * @param {string|object} population the population column of the same
+   * dataset, or an object {fileUrl, indexColName, dataColName}
+   * @param {number} [per = 1] the number of people the value is given per
+   * @returns {object} the value expression
+   * @memberof USChoropleth
+   */
+  static perCapita (column, population, per = 1) {
+    return perCapita(column, population, per);
+  }
+
+  /**
+   * This function returns the configuration stored under the given key in
+   * the URL hash, or undefined if there is none. It throws an error if the
+   * configuration is not valid JSON, e.g. a link edited by hand. This
+   * function does not need to be accessed by users useless there is a
+   * special purpose
+   *
+   * @param {string} key the key of the configuration in the URL hash
+   * @returns {object} the configuration object
+   * @memberof USChoropleth
+   */
+  static readHash (key) {
+    const value = new URLSearchParams(window.location.hash.slice(1)).get(key);
+    if (!value) return undefined;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`The configuration "${key}" in the URL hash is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * This function returns a serialisable configuration object that holds
+   * every property of the instance and the zoom transform of the map.
+   * The d3 scale, colour and scheme functions are given by their names,
+   * e.g. "scaleSequentialSqrt" and "interpolateBlues". The tooltip is only
+   * included if it is a template string, and the value expression if it is
+   * not a function. The configuration could be passed
+   * to fromConfig or applyConfig to restore the same view.
+   *
+   * @returns {object} the configuration object
+   * @memberof USChoropleth
+   */
+  toConfig () {
+    const classification = this.getClassification();
+    const bivariate = this.getBivariate();
+    const transform = this.svg ? d3.zoomTransform(this.svg.node()) : this.pendingZoom;
+    const config = {
+      title: this.getTitle(),
+      fileUrl: this.getFileUrl(),
+      indexColName: this.getIndexColName(),
+      joinKey: this.getJoinKey(),
+      dataColName: this.getDataColName(),
+      mapUrl: this.mapUrl,
+      scale: toD3Name(this.scaleFunction),
+      midpoint: this.getMidpoint(),
+      domain: this.getDomain() || null,
+      color: toD3Name(this.getColor()),
+      colorBlindPreview: this.getColorBlindPreview() || null,
+      legendStep: this.getLegengStep(),
+      statisLevel: this.statisLevel,
+      strokeColor: this.getStrokeColor(),
+      renderer: this.getRenderer(),
+      aggregation: this.getAggregation() || null,
+      timeSeries: this.getTimeSeries() || null,
+      timeInterval: this.getTimeInterval(),
+      classification: classification
+        ? {
+            method: classification.method,
+            classes: classification.classes,
+            scheme: toD3Name(classification.scheme)
+          }
+        : null,
+      bivariate: bivariate || null,
+      symbols: this.getSymbols() || null,
+      difference: this.getDifference() || null,
+      labels: this.getLabels() || null,
+      annotations: this.getAnnotations(),
+      missingStyle: this.getMissingStyle(),
+      valueFormat: this.valueFormat,
+      drillDown: this.drillState ? this.drillState.fips : null,
+      selection: this.getSelection(),
+      histogram: this.getHistogram(),
+      brushRange: this.getBrushRange() || null,
+      zoom: transform
+        ? { x: transform.x, y: transform.y, k: transform.k }
+        : { x: 0, y: 0, k: 1 }
+    };
+    if (typeof this.getTooltip() === 'string') {
+      config.tooltip = this.getTooltip();
+    }
+    const valueExpression = this.getValueExpression();
+    if (!valueExpression) {
+      config.valueExpression = null;
+    } else if (typeof valueExpression.expression !== 'function') {
+      config.valueExpression = {
+        expression: valueExpression.expression,
+        label: valueExpression.label || null
+      };
+    }
+    return config;
+  }
+
+  /**
+   * This function applies a configuration object returned by toConfig.
+   * Properties missing from the configuration are left unchanged. The map
+   * should be rendered again afterwards via execute.
+   *
+   * @param {object} config the configuration object
+   * @memberof USChoropleth
+   */
+  applyConfig (config) {
+    const has = name => Object.prototype.hasOwnProperty.call(config, name);
+    if (has('title')) this.setTitle(config.title);
+    if (has('fileUrl')) this.setFileUrl(config.fileUrl);
+    if (has('indexColName')) this.setIndexColName(config.indexColName);
+    if (has('joinKey')) this.setJoinKey(config.joinKey.type, config.joinKey.stateColName);
+    if (has('dataColName')) this.setDataColName(config.dataColName);
+    if (has('valueExpression')) {
+      const valueExpression = config.valueExpression || {};
+      this.setValueExpression(
+        valueExpression.expression,
+        valueExpression.label || undefined
+      );
+    }
+    if (has('mapUrl')) {
+      this.mapUrl = config.mapUrl;
+      this.markDirty('geometry', 'data');
+    }
+    if (has('scale')) this.setScaleFunction(fromD3Name(config.scale));
+    if (has('midpoint')) this.setMidpoint(config.midpoint);
+    if (has('domain')) this.setDomain(config.domain || undefined);
+    if (has('color')) this.setColor(fromD3Name(config.color));
+    if (has('colorBlindPreview')) {
+      this.setColorBlindPreview(config.colorBlindPreview || undefined);
+    }
+    if (has('legendStep')) this.setLegendStep(config.legendStep);
+    if (has('statisLevel')) this.setStatisLevel(config.statisLevel);
+    if (has('strokeColor')) this.setStrokeColor(config.strokeColor);
+    if (has('renderer')) this.setRenderer(config.renderer);
+    if (has('aggregation')) {
+      const aggregation = config.aggregation || {};
+      this.setAggregation(aggregation.method, aggregation.weight);
+    }
+    if (has('timeSeries')) this.setTimeSeries(config.timeSeries || undefined);
+    if (has('timeInterval')) this.setTimeInterval(config.timeInterval);
+    if (has('classification')) {
+      const classification = config.classification || {};
+      this.setClassification(
+        classification.method,
+        classification.classes,
+        fromD3Name(classification.scheme)
+      );
+    }
+    if (has('bivariate')) {
+      const bivariate = config.bivariate || {};
+      this.setBivariate(bivariate.second, bivariate.n, bivariate.palette);
+    }
+    if (has('symbols')) {
+      const symbols = config.symbols || {};
+      this.setSymbols(symbols.column, symbols.maxRadius, symbols.fill);
+    }
+    if (has('difference')) {
+      const difference = config.difference || {};
+      this.setDifference(difference.base, difference.mode);
+    }
+    if (has('labels')) this.setLabels(config.labels || undefined);
+    if (has('annotations')) this.setAnnotations(config.annotations);
+    if (has('missingStyle')) {
+      this.setMissingStyle(config.missingStyle.fill, config.missingStyle.hatch);
+    }
+    if (has('tooltip') || has('valueFormat')) {
+      this.setTooltip(
+        has('tooltip') ? config.tooltip : this.getTooltip(),
+        has('valueFormat') ? config.valueFormat : this.valueFormat
+      );
+    }
+    if (has('drillDown')) {
+      this.markDirty('geometry', 'data');
+      this.drillState = config.drillDown
+        ? { fips: config.drillDown, name: undefined }
+        : undefined;
+      /** The state is zoomed to by getJson once its geometry is loaded */
+      this.drillZoom = Boolean(config.drillDown) && !has('zoom');
+    }
+    if (has('selection')) this.setSelection(config.selection);
+    if (has('histogram')) this.setHistogram(config.histogram);
+    if (has('brushRange')) this.setBrushRange(config.brushRange || undefined);
+    if (has('zoom')) {
+      const transform = d3.zoomIdentity
+        .translate(config.zoom.x, config.zoom.y)
+        .scale(config.zoom.k);
+      if (this.svg) {
+        this.svg.interrupt().call(this.zoom.transform, transform);
+      } else {
+        this.pendingZoom = transform;
+      }
+    }
+  }
+
+  /**
+   * This function keeps the configuration of the instance in the URL hash
+   * under the given key, so that the same view is shown when the link is
+   * opened. The hash is updated after each rendering and zoom, and the view
+   * follows the changes of the hash made by the user. Use fromHash to create
+   * the instance from the link when the page is loaded. The errors of a
+   * changed hash, e.g. a configuration that is not valid or data that could
+   * not be loaded, are dispatched as dataerror events. Calling this
+   * function without a key stops the syncing.
+   *
+   * @param {string} [key] the key of the configuration in the URL hash
+   * @memberof USChoropleth
+   */
+  syncHash (key) {
+    if (this.hashListener) {
+      window.removeEventListener('hashchange', this.hashListener);
+      this.hashListener = undefined;
+    }
+    this.hashKey = key;
+    if (!key) return;
+
+    this.hashListener = () => {
+      let config;
+      try {
+        config = USChoropleth.readHash(key);
+        if (!config || JSON.stringify(config) === JSON.stringify(this.toConfig())) return;
+        this.applyConfig(config);
+      } catch (error) {
+        this.dispatch.call('dataerror', this, error);
+        return;
+      }
+      /** The errors are dispatched as "dataerror" by render */
+      this.execute().catch(() => {});
+    };
+    window.addEventListener('hashchange', this.hashListener);
+  }
+
+  /**
+   * This function writes the configuration of the instance into the URL hash
+   * if syncHash is on. The browser history is not changed. This function does
+   * not need to be accessed by users useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  writeHash () {
+    if (!this.hashKey) return;
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    params.set(this.hashKey, JSON.stringify(this.toConfig()));
+    window.history.replaceState(null, '', `#${params}`);
+  }
+
+  /**
+   * This function mounts the map into the given element. If the element is
+   * an svg, the map is rendered straight into it. Otherwise a title and an
+   * svg are created within the element. The ids of the generated elements
+   * are prefixed by the id of the instance so that several maps can be
+   * mounted on the same page. The map is mounted into the "#USChoropleth"
+   * element if this function is not called before execute.
+   *
+   * @param {string|Element} element css selector or the element to render into
+   * @memberof USChoropleth
+   */
+  mount (element) {
+    this.unmount();
+    const target = d3.select(element);
+    if (target.empty()) {
+      throw new Error(`No element found to mount the map into: ${element}`);
+    }
+
+    if (target.node().tagName.toLowerCase() === 'svg') {
+      this.svg = target;
+    } else {
+      this.container = target.append('div').attr('id', this.id);
+      this.titleNode = this.container
+        .append('h1')
+        .attr('id', this.getElementId('title'));
+      this.svg = this.container
+        .append('svg')
+        .attr('id', this.getElementId('svg'));
+    }
+    this.svg
+      .attr('width', '100%')
+      .attr('viewBox', VIEW_BOX)
+      .call(this.zoom);
+    if (this.pendingZoom) {
+      this.svg.call(this.zoom.transform, this.pendingZoom);
+      this.pendingZoom = undefined;
+    }
+
+    this.tooltip = d3
+      .select(this.svg.node().ownerDocument.body)
+      .append('div')
+      .attr('id', this.getElementId('tooltip'));
+    Object.keys(TOOLTIP_STYLES).forEach(name => {
+      this.tooltip.style(name, TOOLTIP_STYLES[name]);
+    });
+  }
+
+  /**
+   * This function removes the elements generated by the instance and the
+   * listeners attached to the page. The instance could be mounted again
+   * afterwards.
+   *
+   * @memberof USChoropleth
+   */
+  destroy () {
+    this.syncHash();
+    this.unmount();
+  }
+
+  /**
+   * This function removes the elements generated by the instance from the
+   * element it is mounted into. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  unmount () {
+    this.pause();
+    this.timeState = undefined;
+    if (!this.svg) return;
+
+    this.svg.interrupt().on('.zoom', null);
+    this.tooltip.remove();
+    this.removeControls();
+    if (this.search) {
+      this.search.remove();
+      this.search = undefined;
+    }
+    if (this.container) {
+      this.container.remove();
+    } else {
+      this.svg.selectAll('*').remove();
+    }
+    this.container = undefined;
+    this.svg = undefined;
+    this.titleNode = undefined;
+    this.mapGroup = undefined;
+    this.symbolGroup = undefined;
+    this.layerGroup = undefined;
+    this.labelGroup = undefined;
+    this.annotationGroup = undefined;
+    this.defs = undefined;
+    this.regions = undefined;
+    this.legend = undefined;
+    this.missingLegend = undefined;
+    this.symbolLegend = undefined;
+    this.renderData = undefined;
+    this.tooltip = undefined;
+    this.pinned = undefined;
+    this.focusedRegion = undefined;
+    this.dataTable = undefined;
+    this.histogram = undefined;
+  }
+
+  /**
+   * This function adds a listener of the given event. Allowed events are:
+   *
+   * <br> <br> "render" -- a rendering is done
+   * <br> "regionhover" -- the cursor enters or leaves a region
+   * <br> "regionclick" -- a region is clicked
+   * <br> "zoom" -- the map is zoomed or panned
+   * <br> "dataerror" -- the data or the map could not be loaded, or the
+   * values could not be coloured, e.g. by a log scale with negative values,
+   * or the configuration in the URL hash is not valid, see syncHash
+   * <br> "levelchange" -- the map is rendered at another statistic level
+   * <br> "drilldown" -- a state is clicked and its counties are shown
+   * <br> "drillup" -- the map goes back to the whole country
+   * <br> "selectionchange" -- the selected regions are changed
+   * <br> "brushchange" -- the brushed range of the histogram is changed.
+   *
+   * <br> <br> The region listeners receive the context of the region (the
+   * object given to the tooltip formatter, see setTooltip), or null once
+   * the cursor leaves the region. The zoom listeners receive the d3 zoom
+   * transform, the error listeners receive the error, and the level
+   * listeners receive the new and the previous statistic levels. The drill
+   * listeners receive the {fips, name} object of the state, and the
+   * selection listener receives the list of the FIPS codes of the selected
+   * regions. The brush listeners receive the [min, max] range, or undefined
+   * once the brush is cleared. The listeners are called with the instance as "this".
+   * Passing null as the listener removes it. Several listeners of the same
+   * event could be added with names, e.g. "drilldown.myApp".
+   *
+   * @param {string} eventName name of the event
+   * @param {Function} handler the listener
+   * @returns {USChoropleth} the instance itself
+   * @memberof USChoropleth
+   */
+  on (eventName, handler) {
+    this.dispatch.on(eventName, handler);
+    return this;
+  }
+
+  /**
+   * This function returns the id of an element generated by the instance.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {string} name name of the element, e.g. "usMap"
+   * @returns {string} id of the element prefixed by the id of the instance
+   * @memberof USChoropleth
+   */
+  getElementId (name) {
+    return `${this.id}-${name}`;
+  }
+
+  /**
+   * This function adds a plugin drawing its own layer above the regions,
+   * e.g. labels or markers. The plugin is a function called after each
+   * rendering with the d3 selection of its layer, a group within the
+   * "usMap" group that is zoomed and panned with the map, and a context
+   * object holding:
+   *
+   * <br> <br> "features" -- the GeoJSON features of the regions being shown
+   * <br> "path" -- the d3 geoPath of the map, e.g. path.centroid(feature)
+   * <br> "getValue" -- a function returning the value of a region by its FIPS code
+   * <br> "statisLevel" -- the statistic level being shown
+   * <br> "transform" -- the current d3 zoom transform.
+   *
+   * <br> <br> The layer is emptied before each call. The plugins are
+   * drawn in the order they are added.
+   *
+   * @param {Function} plugin the plugin
+   * @returns {USChoropleth} the instance itself
+   * @memberof USChoropleth
+   */
+  use (plugin) {
+    if (typeof plugin !== 'function') {
+      throw new Error(`A plugin must be a function: ${plugin}`);
+    }
+    if (this.plugins.indexOf(plugin) === -1) {
+      this.plugins.push(plugin);
+    }
+    return this;
+  }
+
+  /**
+   * This function removes a plugin added by use, together with its layer
+   * after the next rendering.
+   *
+   * @param {Function} plugin the plugin
+   * @returns {USChoropleth} the instance itself
+   * @memberof USChoropleth
+   */
+  removePlugin (plugin) {
+    this.plugins = this.plugins.filter(added => added !== plugin);
+    return this;
+  }
+
+  /**
+   * This function exports the rendered map as a standalone svg document.
+   * The title is drawn above the map and the styles of the elements are
+   * inlined so that the document looks the same outside the webpage.
+   *
+   * @returns {string} the svg document
+   * @memberof USChoropleth
+   */
+  exportSVG () {
+    if (!this.renderData) {
+      throw new Error('The map must be rendered before it is exported');
+    }
+    const original = this.svg.node();
+    const clone = original.cloneNode(true);
+
+    /** The window of the svg, which is not the global one in Node */
+    const view = original.ownerDocument.defaultView;
+
+    /** Inline the styles the page applies to the elements */
+    const originals = [original].concat(Array.from(original.querySelectorAll('*')));
+    const clones = [clone].concat(Array.from(clone.querySelectorAll('*')));
+    originals.forEach((node, i) => {
+      const style = view.getComputedStyle(node);
+      const inline = EXPORT_STYLES.map(name => {
+        const value = style.getPropertyValue(name);
+        return value ? `${name}:${value};` : '';
+      }).join('');
+      clones[i].setAttribute('style', inline + (clones[i].getAttribute('style') || ''));
+    });
+
+    /** The regions drawn by the canvas renderer are exported as an image */
+    const canvases = Array.from(original.querySelectorAll('foreignObject'));
+    Array.from(clone.querySelectorAll('foreignObject')).forEach((node, i) => {
+      const canvas = canvases[i].querySelector('canvas');
+      if (!canvas) return;
+      d3.select(node.parentNode)
+        .insert('image', () => node)
+        .attr('x', node.getAttribute('x'))
+        .attr('y', node.getAttribute('y'))
+        .attr('width', node.getAttribute('width'))
+        .attr('height', node.getAttribute('height'))
+        .attr('href', canvas.toDataURL());
+      node.remove();
+    });
+
+    /** Make room for the title above the map */
+    const [x, y, width, height] = this.getViewBox();
+    const exported = d3
+      .select(clone)
+      .attr('xmlns', 'http://www.w3.org/2000/svg')
+      .attr('width', width)
+      .attr('height', height + EXPORT_TITLE_HEIGHT)
+      .attr('viewBox', [x, y - EXPORT_TITLE_HEIGHT, width, height + EXPORT_TITLE_HEIGHT]);
+    exported
+      .insert('text', ':first-child')
+      .attr('x', x + width / 2)
+      .attr('y', y - EXPORT_TITLE_HEIGHT / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'middle')
+      .attr('font-family', 'sans-serif')
+      .attr('font-size', 24)
+      .attr('font-weight', 'bold')
+      .text(this.getTitle());
+
+    return new view.XMLSerializer().serializeToString(clone);
+  }
+
+  /**
+   * This function exports the rendered map as a png image. The image is
+   * drawn from the svg returned by exportSVG.
+   *
+   * @param {object} [options] export options
+   * @param {number} [options.scale = 1] the factor the image is enlarged by
+   * @returns {object} the png Blob within a promise object
+   * @memberof USChoropleth
+   */
+  exportPNG ({ scale = 1 } = {}) {
+    const svgString = this.exportSVG();
+    const [, , width, height] = this.getViewBox();
+    const url = URL.createObjectURL(
+      new window.Blob([svgString], { type: 'image/svg+xml;charset=utf-8' })
+    );
+
+    return new Promise((resolve, reject) => {
+      const image = new window.Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = (height + EXPORT_TITLE_HEIGHT) * scale;
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(resolve, 'image/png');
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('The map could not be drawn as a png image'));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * This function exports the data of the rendered map, i.e. the name, the
+   * FIPS code and the value of every region. Two formats are allowed:
+   *
+   * <br> <br> "csv" -- a csv table with the name, fips and value columns
+   * <br> "geojson" -- a FeatureCollection of the regions with the name, fips
+   * and value properties.
+   *
+   * <br> <br> The value of the second column is added in the bivariate mode.
+   *
+   * @param {object} [options] export options
+   * @param {string} [options.format = csv] format of the data
+   * @returns {string} the exported data
+   * @memberof USChoropleth
+   */
+  exportData ({ format = 'csv' } = {}) {
+    if (!this.renderData) {
+      throw new Error('The map must be rendered before it is exported');
+    }
+    const data = this.renderData;
+    const frame = data.frames[this.timeState ? this.timeState.index : data.frameIndex];
+    const secondName = data.bivariateColumn && this.getBivariateName();
+    const brushRange = this.getBrushRange();
+    const isDimmed = this.isDimmed();
+    const features = data.features;
+    const rows = features.map(d => {
+      const key = data.statisLevel.func(d.id);
+      const row = { name: d.properties.name, fips: d.id, value: frame.column.get(key) };
+      if (secondName) {
+        row[secondName] = data.bivariateColumn.get(key);
+      }
+      if (brushRange) {
+        row.inRange = !isDimmed(d);
+      }
+      return row;
+    });
+
+    if (format === 'csv') {
+      return d3.csvFormat(rows);
+    }
+    if (format === 'geojson') {
+      return JSON.stringify({
+        type: 'FeatureCollection',
+        brushRange: brushRange,
+        features: features.map((d, i) => ({
+          type: 'Feature',
+          id: d.id,
+          properties: rows[i],
+          geometry: d.geometry
+        }))
+      });
+    }
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  /**
+   * This function returns the viewBox of the svg as [x, y, width, height].
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @returns {Array} the viewBox of the svg
+   * @memberof USChoropleth
+   */
+  getViewBox () {
+    return this.svg
+      .attr('viewBox')
+      .split(/[\s,]+/)
+      .map(Number);
+  }
+
+  /**
+   * This function zooms the map into the given state and shows its counties
+   * only. The colour domain is computed from these counties. A breadcrumb is
+   * drawn above the map to go back to the whole country.
+   *
+   * @param {string|number} fips FIPS code of the state
+   * @returns {object} a promise object resolved once the counties are shown
+   * @memberof USChoropleth
+   */
+  drillDown (fips) {
+    if (!this.renderData) {
+      throw new Error('The map must be rendered before it is drilled down');
+    }
+    const us = this.renderData.us;
+    const id = String(fips).padStart(2, '0');
+    const geometry = us.objects.states.geometries.find(state => state.id === id);
+    if (!geometry) {
+      throw new Error(`No state found with the FIPS code: ${fips}`);
+    }
+
+    const drillState = { fips: id, name: geometry.properties.name };
+    this.drillState = drillState;
+    this.markDirty('geometry', 'data');
+    this.zoomTo(topojson.feature(us, geometry));
+    return this.render().then(() => {
+      this.dispatch.call('drilldown', this, drillState);
+    });
+  }
+
+  /**
+   * This function goes back from the counties of a state to the whole country.
+   *
+   * @returns {object} a promise object resolved once the country is shown
+   * @memberof USChoropleth
+   */
+  drillUp () {
+    const drillState = this.drillState;
+    if (!drillState) {
+      return Promise.resolve();
+    }
+    this.drillState = undefined;
+    this.markDirty('geometry', 'data');
+    this.resetZoom(750);
+    return this.render().then(() => {
+      this.dispatch.call('drillup', this, drillState);
+    });
+  }
+
+  /**
+   * This function returns the {fips, name} object of the state being
+   * drilled down into, or undefined if the whole country is shown.
+   *
+   * @returns {object} the state being drilled down into
+   * @memberof USChoropleth
+   */
+  getDrillState () {
+    return this.drillState;
+  }
+
+  /**
+   * This function zooms the map to the bounds of the given feature. The
+   * zoom is applied at once without a duration, and once the map is
+   * mounted if it is not yet.
+   *
+   * @param {object} feature a GeoJSON feature on the map
+   * @param {number} [duration = 750] duration of the transition in milliseconds
+   * @memberof USChoropleth
+   */
+  zoomTo (feature, duration = 750) {
+    const [[x0, y0], [x1, y1]] = d3.geoPath().bounds(feature);
+    const [, , width, height] = this.svg ? this.getViewBox() : VIEW_BOX;
+    const k = Math.min(
+      8,
+      0.9 / Math.max((x1 - x0) / width, (y1 - y0) / height)
+    );
+    const transform = d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(k)
+      .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+    if (!this.svg) {
+      this.pendingZoom = transform;
+    } else if (duration) {
+      this.svg
+        .transition()
+        .duration(duration)
+        .call(this.zoom.transform, transform);
+    } else {
+      this.svg.interrupt().call(this.zoom.transform, transform);
+    }
+  }
+
+  /**
+   * This function resets the zoom and drag of the map.
+   *
+   * @param {number} [duration = 500] duration of the transition in milliseconds
+   * @memberof USChoropleth
+   */
+  resetZoom (duration = 500) {
+    if (!this.svg) return;
+    this.svg
+      .transition()
+      .duration(duration)
+      .call(this.zoom.transform, d3.zoomIdentity);
+  }
+
+  /**
+   * This function returns the FIPS codes of the selected regions. The
+   * regions are selected by clicking on them with Shift or Ctrl held, by
+   * clicking on the counties, or by setSelection.
+   *
+   * @returns {Array} the FIPS codes of the selected regions
+   * @memberof USChoropleth
+   */
+  getSelection () {
+    return this.selection.slice();
+  }
+
+  /**
+   * This function selects the regions of the given FIPS codes and outlines
+   * them on the map. The "selectionchange" event is fired afterwards.
+   *
+   * @param {Array} fipsList FIPS codes of the regions, e.g. ["48", "01001"]
+   * @memberof USChoropleth
+   */
+  setSelection (fipsList) {
+    this.selection = Array.from(new Set(fipsList.map(normalizeFips)));
+    if (this.pinned && !this.isSelected()(this.pinned)) {
+      this.pinned = undefined;
+      this.hideTooltip();
+    }
+    if (this.regions) {
+      this.regions.highlight(this.isSelected());
+      this.writeHash();
+    }
+    this.dispatch.call('selectionchange', this, this.getSelection());
+  }
+
+  /**
+   * This function adds the region to the selection, or removes it if it
+   * is selected already. This function does not need to be accessed by
+   * users useless there is a special purpose
+   *
+   * @param {string} fips FIPS code of the region
+   * @memberof USChoropleth
+   */
+  toggleSelection (fips) {
+    const selection = this.getSelection();
+    const index = selection.indexOf(fips);
+    if (index === -1) {
+      selection.push(fips);
+    } else {
+      selection.splice(index, 1);
+    }
+    this.setSelection(selection);
+  }
+
+  /**
+   * This function returns a function checking whether the region of a
+   * feature is selected. This function does not need to be accessed by
+   * users useless there is a special purpose
+   *
+   * @returns {Function} feature -> true if the region is selected
+   * @memberof USChoropleth
+   */
+  isSelected () {
+    const selection = new Set(this.selection);
+    return d => selection.has(d.id);
+  }
+
+  /**
+   * This function shows or hides the histogram of the values above the
+   * map. The bars are coloured by the colour scale of the map, and the
+   * bin of the region under the cursor is outlined. A range brushed on the
+   * histogram fades out the regions whose values are outside it, see
+   * setBrushRange.
+   *
+   * @param {boolean} [shown = true] whether the histogram is shown
+   * @memberof USChoropleth
+   */
+  setHistogram (shown = true) {
+    this.histogramShown = shown;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns whether the histogram is shown.
+   *
+   * @returns {boolean} true if the histogram is shown
+   * @memberof USChoropleth
+   */
+  getHistogram () {
+    return this.histogramShown;
+  }
+
+  /**
+   * This function sets the range of values brushed on the histogram. The
+   * regions whose values are outside the range, or missing, are faded out
+   * on the map. The range is kept when the histogram is hidden and when
+   * another column is shown. Calling this function without a range clears
+   * the brush. The "brushchange" event is fired afterwards.
+   *
+   * @param {Array} [range] the [min, max] range of values
+   * @memberof USChoropleth
+   */
+  setBrushRange (range) {
+    this.brushRange = range ? [d3.min(range), d3.max(range)] : undefined;
+    if (this.histogram) {
+      const { x, brush, brushGroup } = this.histogram;
+      brushGroup.call(brush.move, this.brushRange ? this.brushRange.map(x) : null);
+    }
+    this.filterRegions();
+    if (this.regions) {
+      this.writeHash();
+    }
+  }
+
+  /**
+   * This function returns the range of values brushed on the histogram,
+   * or undefined if nothing is brushed.
+   *
+   * @returns {Array} the [min, max] range of values
+   * @memberof USChoropleth
+   */
+  getBrushRange () {
+    return this.brushRange && this.brushRange.slice();
+  }
+
+  /**
+   * This function returns a function checking whether the region of a
+   * feature is faded out by the brushed range. This function does not need
+   * to be accessed by users useless there is a special purpose
+   *
+   * @returns {Function} feature -> true if the region is outside the range
+   * @memberof USChoropleth
+   */
+  isDimmed () {
+    const range = this.brushRange;
+    if (!range) {
+      return () => false;
+    }
+    return d => {
+      const value = this.getRegionValue(d.id);
+      return isMissing(value) || value < range[0] || value > range[1];
+    };
+  }
+
+  /**
+   * This function fades out the regions outside the brushed range and
+   * fires the "brushchange" event. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  filterRegions () {
+    if (this.regions) {
+      this.regions.dim(this.isDimmed());
+    }
+    this.dispatch.call('brushchange', this, this.getBrushRange());
+  }
+
+  /**
+   * This function finds the region being shown by its name qualified by
+   * the state, e.g. "Autauga County, AL", by its plain name, or by its FIPS
+   * code. It returns undefined if no region is found.
+   *
+   * @param {string} query the name or the FIPS code of the region
+   * @returns {object} the GeoJSON feature of the region
+   * @memberof USChoropleth
+   */
+  findRegion (query) {
+    if (!this.renderData) {
+      throw new Error('The map must be rendered before a region is searched');
+    }
+    const features = this.renderData.features;
+    query = String(query).trim();
+    if (/^\d+$/.test(query)) {
+      const fips = normalizeFips(query);
+      return features.find(d => d.id === fips);
+    }
+    query = query.toLowerCase();
+    return (
+      features.find(d => getRegionLabel(d).toLowerCase() === query) ||
+      features.find(d => d.properties.name.toLowerCase() === query)
+    );
+  }
+
+  /**
+   * This function selects the region of the given FIPS code, zooms the map
+   * to its bounds and pins its tooltip until the selection is changed.
+   *
+   * @param {string|number} fips FIPS code of the region
+   * @memberof USChoropleth
+   */
+  focusRegion (fips) {
+    const d = this.findRegion(fips);
+    if (!d) {
+      throw new Error(`No region found with the FIPS code: ${fips}`);
+    }
+    this.setSelection([d.id]);
+    this.pinned = d;
+    this.pinTooltip(d);
+    this.zoomTo(d);
+  }
+
+  /**
+   * This function shows the region as if the cursor were over it, with
+   * its tooltip, e.g. to follow the cursor on another map. No
+   * "regionhover" event is fired. Calling this function without a FIPS
+   * code, or with the code of a region not being shown, clears the hover.
+   *
+   * @param {string} [fips] FIPS code of the region
+   * @memberof USChoropleth
+   */
+  hoverRegion (fips) {
+    if (!this.regions) return;
+    const d = fips === undefined || fips === null ? undefined : this.findRegion(fips);
+    this.regions.hover(d);
+    this.markBin(d ? this.getRegionValue(d.id) : undefined);
+    if (d) {
+      this.pinTooltip(d);
+    } else {
+      this.hideTooltip();
+    }
+  }
+
+  /**
+   * This function sets the title of the graph.
+   *
+   * @param {string} title title of the graph
+   */
+  setTitle (title) {
+    this.title = title;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns the title of the graph.
+   *
+   * @returns {string} title of the graph.
+   * @memberof USChoropleth
+   */
+  getTitle () {
+    return this.title;
+  }
+
+  /**
+   * This function sets the data source of the dataset, which is either:
+   *
+   * <br> <br> the url of a csv, tsv or json file -- the format is told by
+   * the extension, e.g. "/static/data.tsv"
+   * <br> a list of rows -- the row objects kept in memory, e.g.
+   * [{FIPS: "01001", rate: 5.1}]
+   * <br> an object {url, format, path} -- the format of the file ("csv",
+   * "tsv" or "json") and, for a json file, the dotted path of the list of
+   * rows within the json, e.g. {url: "/api/rates", format: "json", path: "data"}.
+   *
+   * <br> <br> The json files hold a list of row objects. The files could be
+   * read from somewhere else than the web, e.g. a local mock of an api, by
+   * setReader of the loader.
+   *
+   * @param {string|Array|object} fileUrl the data source of the dataset.
+   */
+  setFileUrl (fileUrl) {
+    this.fileUrl = fileUrl;
+    this.markDirty('data');
+  }
+
+  /**
+   * This function returns the data source of the current dataset.
+   *
+   * @returns {string|Array|object} the data source of the current dataset.
+   * @memberof USChoropleth
+   */
+  getFileUrl () {
+    return this.fileUrl;
+  }
+
+  /**
+   * This functions defines the index column by passing the
+   * column name within the dataset (a csv file). The index column
+   * is the column that contains the FIPS codes which are used to index
+   * states and counties in America.
+   *
+   * @param {string} indexColName name of the FIPS code column.
+   * @memberof USChoropleth
+   */
+  setIndexColName (indexColName) {
+    this.indexColName = indexColName;
+    this.markDirty('data');
+  }
+
+  /**
+   * This functions returns the index column. The index column
+   * is the column that contains the FIPS codes which are used to index
+   * states and counties in America.
+   *
+   * @returns {string} name of the FIPS code column.
+   * @memberof USChoropleth
+   */
+  getIndexColName () {
+    return this.indexColName;
+  }
+
+  /**
+   * This function sets how the index column is joined to the regions.
+   * Allowed join keys are:
+   *
+   * <br> <br> "fips" -- FIPS codes, zero-padded or not, e.g. "01001" or 1001
+   * <br> "state" -- state names or postal codes, e.g. "Alabama" or "AL"
+   * <br> "county" -- county names, e.g. "Autauga County" or "Autauga". The
+   * state is read from the state column (a state name or a postal code),
+   * or after a comma if no state column is given, e.g. "Autauga County, AL".
+   *
+   * <br> <br> The rows matching no region are listed by getDiagnostics.
+   *
+   * @param {string} [type = fips] the join key
+   * @param {string} [stateColName] name of the state column of the "county" join key
+   * @memberof USChoropleth
+   */
+  setJoinKey (type = 'fips', stateColName) {
+    if (!isJoinKey(type)) {
+      throw new Error(`Unknown join key: ${type}`);
+    }
+    this.joinKey = { type: type, stateColName: stateColName };
+    this.markDirty('data');
+  }
+
+  /**
+   * This function returns how the index column is joined to the regions,
+   * in an object {type, stateColName}.
+   *
+   * @returns {object} the join key
+   * @memberof USChoropleth
+   */
+  getJoinKey () {
+    return this.joinKey;
+  }
+
+  /**
+   * This function defines the data column by passing the
+   * the column name within the dataset (a csv file). The data column
+   * is the column that contains the statistic data measured by different regions.
+   *
+   * @param {string} indexColName name of the data column.
+   * @memberof USChoropleth
+   */
+  setDataColName (dataColName) {
+    this.dataColName = dataColName;
+    this.markDirty('data');
+  }
+
+  /**
+   * This function returns the data column. The data column
+   * is the column that contains the statistic data measured by different regions.
+   *
+   * @returns {string} name of the data column.
+   * @memberof USChoropleth
+   */
+  getDataColName () {
+    return this.dataColName;
+  }
+
+  /**
+   * This function computes the value of each region from the whole csv row
+   * instead of the data column. Allowed expressions are:
+   *
+   * <br> <br> a formula -- the four arithmetic operators over numbers and
+   * columns, e.g. "Births_2016 / POP_ESTIMATE_2016 * 1000". Column names
+   * with spaces are written within brackets, e.g. "[Birth count] / 2".
+   * <br> a function -- maps the csv row to the value, e.g.
+   * row => +row.Births_2016 - +row.Deaths_2016
+   * <br> USChoropleth.percentChange(from, to) -- the percent change from one
+   * column to another
+   * <br> USChoropleth.perCapita(column, population, per) -- the column
+   * divided by a population column of the same dataset or of another
+   * dataset, e.g. {fileUrl, indexColName, dataColName}, see getJoinedColumn.
+   *
+   * <br> <br> The legend title and the tooltip show the label, or the formula
+   * if no label is given. Calling this function without an expression goes
+   * back to the data column. The time mode could not be used with an expression.
+   *
+   * @param {string|Function|object} [expression] the value expression
+   * @param {string} [label] the text shown in the legend and the tooltip
+   * @memberof USChoropleth
+   */
+  setValueExpression (expression, label) {
+    this.valueExpression =
+      expression === undefined ? undefined : compileExpression(expression, label);
+    this.markDirty('data');
+  }
+
+  /**
+   * This function returns the value expression, an object holding the
+   * expression, its label and the formula shown in the legend, or
+   * undefined if the data column is used.
+   *
+   * @returns {object} the value expression
+   * @memberof USChoropleth
+   */
+  getValueExpression () {
+    return this.valueExpression;
+  }
+
+  /**
+   * This function turns on the time mode by passing the prefix of a
+   * year-suffixed column family, e.g. "Births" for the columns
+   * Births_2010 ... Births_2018. The years are found from the columns of
+   * the dataset and a playback control is drawn above the map. The colour
+   * domain is computed over all the years so that colours are comparable
+   * from year to year. Calling this function without a prefix turns the
+   * time mode off.
+   *
+   * @param {string} [prefix] prefix of the year-suffixed columns
+   * @memberof USChoropleth
+   */
+  setTimeSeries (prefix) {
+    this.timePrefix = prefix;
+    this.markDirty('data');
+  }
+
+  /**
+   * This function returns the prefix of the year-suffixed columns shown
+   * in the time mode, or undefined if the time mode is off.
+   *
+   * @returns {string} prefix of the year-suffixed columns
+   * @memberof USChoropleth
+   */
+  getTimeSeries () {
+    return this.timePrefix;
+  }
+
+  /**
+   * This function sets the time each year is shown for during the playback.
+   * A playback going on continues at the new interval.
+   *
+   * @param {number} timeInterval interval between two years in milliseconds
+   * @memberof USChoropleth
+   */
+  setTimeInterval (timeInterval) {
+    this.timeInterval = timeInterval;
+    if (this.timeState && this.timeState.timer) {
+      this.pause();
+      this.play();
+    }
+  }
+
+  /**
+   * This function returns the time each year is shown for during the playback.
+   *
+   * @returns {number} interval between two years in milliseconds
+   * @memberof USChoropleth
+   */
+  getTimeInterval () {
+    return this.timeInterval;
+  }
+
+  /**
+   * This function returns the years found for the time mode in the last
+   * rendering, or an empty array if the time mode is off.
+   *
+   * @returns {Array} a list of years in ascending order
+   * @memberof USChoropleth
+   */
+  getYears () {
+    return this.timeState ? this.timeState.frames.map(frame => frame.year) : [];
+  }
+
+  /**
+   * This function shows the given year of the time mode on the rendered map.
+   * The fill colours of the regions are transitioned to the new values.
+   *
+   * @param {number} year one of the years returned by getYears
+   * @memberof USChoropleth
+   */
+  setYear (year) {
+    const index = this.getYears().indexOf(+year);
+    if (index < 0) {
+      throw new Error(`No data column found for the year: ${year}`);
+    }
+    this.showFrame(index);
+  }
+
+  /**
+   * This function starts the playback of the time mode. The playback
+   * restarts from the first year if the last year is being shown.
+   *
+   * @memberof USChoropleth
+   */
+  play () {
+    const state = this.timeState;
+    if (!state || state.timer) return;
+    if (state.index === state.frames.length - 1) {
+      this.showFrame(0);
+    }
+    state.timer = d3.interval(() => {
+      if (state.index >= state.frames.length - 1) {
+        this.pause();
+      } else {
+        this.showFrame(state.index + 1);
+      }
+    }, this.getTimeInterval());
+    state.control.select('button').text('pause');
+  }
+
+  /**
+   * This function pauses the playback of the time mode.
+   *
+   * @memberof USChoropleth
+   */
+  pause () {
+    const state = this.timeState;
+    if (!state || !state.timer) return;
+    state.timer.stop();
+    state.timer = undefined;
+    state.control.select('button').text('play');
+  }
+
+  /**
+   * Set the statistic level of map. Two levels are allowed:
+   *
+   * <br> <br> "states" -- display the data on states level
+   * <br> "counties" -- display the data on counties level.
+   *
+   * @param {string} level  statistic level
+   * @memberof USChoropleth
+   */
+  setStatisLevel (level) {
+    this.markDirty('geometry', 'data');
+    this.statisLevel = level;
+    this.drillState = undefined;
+  }
+
+  /**
+   * This function returns an object holds configurations
+   * for different statistic level. The counties level is used
+   * when a state is drilled down into. This function does not
+   * need to be accessed by users useless there is a special purpose
+   *
+   * @returns {object} statistic level configuration object
+   * @memberof USChoropleth
+   */
+  getStatisLevelConfig () {
+    const level = this.drillState ? 'counties' : this.statisLevel;
+    const obj = { key: level, func: undefined };
+    if (level === 'states') {
+      obj.func = d => parseInt(d || 0) * 1000;
+    } else if (level === 'counties') {
+      obj.func = d => parseInt(d || 0);
+    }
+    return obj;
+  }
+
+  /**
+   * This function enables the roll-up mode, which builds the state values
+   * from the county rows of the dataset when it has no state rows. Allowed
+   * methods are:
+   *
+   * <br> <br> "sum", "mean", "median", "min", "max" -- computed over the counties
+   * <br> "weightedMean" -- the mean weighted by another column.
+   *
+   * <br> <br> The weight is either the name of a column within the same
+   * dataset, or an object {fileUrl, indexColName, dataColName} that points
+   * to a column in another dataset (see getJoinedColumn), e.g.
+   * "POP_ESTIMATE_2018" from PopulationEstimates.csv. Calling this function without a method
+   * disables the roll-up mode.
+   *
+   * @param {string} [method] roll-up method
+   * @param {string|object} [weight] weight column, required by "weightedMean"
+   * @memberof USChoropleth
+   */
+  setAggregation (method, weight) {
+    this.markDirty('data');
+    if (method === undefined) {
+      this.aggregation = undefined;
+      return;
+    }
+    if (!isAggregationMethod(method)) {
+      throw new Error(`Unknown aggregation method: ${method}`);
+    }
+    if (method === 'weightedMean' && !weight) {
+      throw new Error('The weightedMean aggregation requires a weight column');
+    }
+    this.aggregation = { method: method, weight: weight };
+  }
+
+  /**
+   * This function returns the roll-up configuration in an object
+   * {method, weight}, or undefined if the roll-up mode is disabled.
+   *
+   * @returns {object} roll-up configuration
+   * @memberof USChoropleth
+   */
+  getAggregation () {
+    return this.aggregation;
+  }
+
+  /**
+   * This function set a scale function that scales the original data values
+   * e.g. takes the square root of each value. Then each value will be mapped to
+   * a rgb colour (through a d3 colour interpolate function). It allows a
+   * d3 sequential or diverging scale function as the parameter. For example:
+   * <br><br> d3.scaleSequentialSqrt,
+   * <br> d3.scaleSequentialLog,
+   * <br> d3.scaleSequentialSymlog,
+   * <br> d3.scaleDiverging, d3.scaleDivergingSqrt, d3.scaleDivergingLog and
+   * d3.scaleDivergingSymlog, which diverge from the midpoint, see setMidpoint.
+   *
+   * <br><br> A diverging scale goes with a diverging colour interpolate
+   * function, e.g. d3.interpolateRdBu. The log scales only show positive
+   * values, use the symlog scales for the data with zero or negative values.
+   *
+   * @param {Function} scaleFunction d3 sequential or diverging scale function
+   * @memberof USChoropleth
+   */
+  setScaleFunction (scaleFunction) {
+    this.scaleFunction = scaleFunction;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function sets the value the diverging scales diverge from.
+   * Allowed midpoints are:
+   *
+   * <br> <br> a number -- e.g. 0 for the data with signs (default)
+   * <br> "national" -- the national value, the FIPS 0 row of the dataset or
+   * else the mean of the states
+   * <br> "median" -- the median of the values of the regions.
+   *
+   * @param {number|string} [midpoint = 0] the midpoint
+   * @memberof USChoropleth
+   */
+  setMidpoint (midpoint = 0) {
+    if (!isMidpoint(midpoint)) {
+      throw new Error(`Unknown midpoint: ${midpoint}`);
+    }
+    this.midpoint = midpoint;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns the midpoint of the diverging scales.
+   *
+   * @returns {number|string} the midpoint
+   * @memberof USChoropleth
+   */
+  getMidpoint () {
+    return this.midpoint;
+  }
+
+  /**
+   * This function sets a range of values the colour domain covers besides
+   * the values of the map, so that several maps could share the same
+   * colours, e.g. [0, 100]. It only extends the domain of the continuous
+   * scales, the classes of the classifications are still computed from the
+   * values of the map. Calling
+   * this function without a range computes the domain from the values only.
+   *
+   * @param {Array} [domain] the [min, max] range the colour domain covers
+   * @memberof USChoropleth
+   */
+  setDomain (domain) {
+    this.domain = domain ? [d3.min(domain), d3.max(domain)] : undefined;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns the range of values the colour domain covers
+   * besides the values of the map, or undefined if it is not set.
+   *
+   * @returns {Array} the [min, max] range
+   * @memberof USChoropleth
+   */
+  getDomain () {
+    return this.domain && this.domain.slice();
+  }
+
+  /**
+   * This function replaces the sequential scale by a classed colour scheme.
+   * The data values are split into classes and each class is given a colour
+   * of the scheme. Allowed methods are:
+   *
+   * <br> <br> "quantile" -- classes holding the same number of regions
+   * <br> "equalInterval" -- classes of the same width
+   * <br> "jenks" -- Jenks natural breaks
+   * <br> "stddev" -- classes one standard deviation wide around the mean
+   * <br> an array of thresholds -- user-supplied class boundaries.
+   *
+   * <br> <br> The scheme is either a d3 ordinal scheme (e.g. d3.schemeBlues),
+   * a list of colours, or a d3 colour interpolate function. Calling this
+   * function without a method turns the classification off.
+   *
+   * @param {string|Array} [method] classification method or thresholds
+   * @param {number} [classes = 5] number of classes, ignored by thresholds
+   * @param {Array|Function} [scheme = d3.schemeBlues] colour scheme
+   * @memberof USChoropleth
+   */
+  setClassification (method, classes = 5, scheme = d3.schemeBlues) {
+    this.markDirty('style');
+    if (method === undefined) {
+      this.classification = undefined;
+      return;
+    }
+    if (!Array.isArray(method) && !isClassificationMethod(method)) {
+      throw new Error(`Unknown classification method: ${method}`);
+    }
+    const count = Array.isArray(method) ? method.length + 1 : classes;
+    if (!hasSchemeColors(scheme, count)) {
+      const sizes = scheme
+        .map((colors, n) => (Array.isArray(colors) ? n : undefined))
+        .filter(n => n !== undefined);
+      throw new Error(
+        `The colour scheme has no ${count} colours, only ${sizes[0]} to ${sizes[sizes.length - 1]}: ` +
+          'change the number of classes, or pass a list of colours or an interpolate function'
+      );
+    }
+    this.classification = { method: method, classes: classes, scheme: scheme };
+  }
+
+  /**
+   * This function returns the classification in an object
+   * {method, classes, scheme}, or undefined if the classification is off.
+   *
+   * @returns {object} classification configuration
+   * @memberof USChoropleth
+   */
+  getClassification () {
+    return this.classification;
+  }
+
+  /**
+   * This function sets the content of the tooltip shown when a region is
+   * hovered. The formatter is either a template string, in which each {key}
+   * placeholder is replaced by the field of the tooltip context or by the
+   * column of the csv row with the same name, e.g. "{Area_Name}, {State}:
+   * {formattedValue}", or a function that takes the tooltip context and
+   * returns the html of the tooltip. The tooltip context holds:
+   *
+   * <br> <br> name, fips, value, formattedValue, colName, year -- the region and its value
+   * <br> row -- the whole csv row of the region
+   * <br> rank, total, rankText, percentile -- e.g. 12, 50, "12th of 50", 78
+   * <br> national, difference, formattedDifference -- the national value
+   * (the FIPS 0 row of the dataset, or else the mean of the states) and the
+   * difference from it
+   * <br> count -- the number of counties of a rolled-up state
+   * <br> secondName, secondValue, formattedSecondValue -- the second column of the
+   * bivariate mode
+   * <br> baseValue, formattedBaseValue, onlyIn -- the value of the region in the
+   * base source of the difference map, see setDifference, and the source
+   * ("data" or "base") of a region found in one source only.
+   *
+   * <br> <br> Calling this function without a formatter restores the default tooltip.
+   *
+   * @param {string|Function} [formatter] tooltip template or formatter function
+   * @param {string} [valueFormat = ,.2~f] d3 format specifier of the values
+   * @memberof USChoropleth
+   */
+  setTooltip (formatter = defaultTooltip, valueFormat = ',.2~f') {
+    this.tooltipFormatter = formatter;
+    this.valueFormat = valueFormat;
+  }
+
+  /**
+   * This function returns the tooltip template or formatter function.
+   *
+   * @returns {string|Function} tooltip template or formatter function
+   * @memberof USChoropleth
+   */
+  getTooltip () {
+    return this.tooltipFormatter;
+  }
+
+  /**
+   * This function turns on the bivariate mode, which shows the data column
+   * together with a second column on the map. Each column is binned into
+   * n quantile classes and every region is coloured by the pair of its
+   * classes. The second column is either the name of a column within the
+   * same dataset, or an object {fileUrl, indexColName, dataColName} that
+   * points to a column in another dataset, see getJoinedColumn. The bivariate
+   * mode takes precedence over the classification. Calling this function
+   * without a column turns the bivariate mode off.
+   *
+   * @param {string|object} [second] the second data column
+   * @param {number} [n = 3] number of classes of each column
+   * @param {Array} [palette] n * n css colours listed row by row from the
+   * lowest class of the second column, defaults to the palette by Joshua Stevens
+   * @memberof USChoropleth
+   */
+  setBivariate (second, n = 3, palette) {
+    this.bivariate =
+      second === undefined
+        ? undefined
+        : { second: second, n: n, palette: palette };
+    this.markDirty('data');
+  }
+
+  /**
+   * This function returns the bivariate mode in an object
+   * {second, n, palette}, or undefined if the bivariate mode is off.
+   *
+   * @returns {object} bivariate configuration
+   * @memberof USChoropleth
+   */
+  getBivariate () {
+    return this.bivariate;
+  }
+
+  /**
+   * This function turns on the proportional symbols, circles drawn at the
+   * centroids of the regions above the colours, whose areas are
+   * proportional to the values of another column, e.g. the population
+   * counts while the colours show a rate. The column is either the name of
+   * a column within the same dataset, or an object {fileUrl, indexColName,
+   * dataColName} that points to a column in another dataset, see
+   * getJoinedColumn. The county values are summed when the counties are
+   * rolled up to the states, see setAggregation. The symbols are the same
+   * in every year of the time mode. Calling this function without a column
+   * turns the symbols off.
+   *
+   * @param {string|object} [column] the column sizing the circles
+   * @param {number} [maxRadius = 20] radius of the circle of the largest value
+   * @param {string} [fill = #e6550d] css colour of the circles
+   * @memberof USChoropleth
+   */
+  setSymbols (column, maxRadius = 20, fill = '#e6550d') {
+    this.symbols =
+      column === undefined
+        ? undefined
+        : { column: column, maxRadius: maxRadius, fill: fill };
+    this.markDirty('data');
+  }
+
+  /**
+   * This function returns the proportional symbols in an object
+   * {column, maxRadius, fill}, or undefined if the symbols are off.
+   *
+   * @returns {object} proportional symbols configuration
+   * @memberof USChoropleth
+   */
+  getSymbols () {
+    return this.symbols;
+  }
+
+  /**
+   * This function turns the map into a difference map, showing the change
+   * of each region from a base source, e.g. from the births of 2016 to the
+   * births of 2017. Allowed modes are:
+   *
+   * <br> <br> "absolute" -- the value minus the base value
+   * <br> "percent" -- the change in percent of the base value.
+   *
+   * <br> <br> The base is either the name of a column within the same
+   * dataset, or an object {fileUrl, indexColName, dataColName} that points
+   * to a column in another dataset, see getJoinedColumn. The regions found
+   * in one source only are hatched apart from the regions with missing
+   * data, and are listed by getDiagnostics. A diverging scale with the
+   * midpoint 0 suits the changes, see setScaleFunction. Calling this
+   * function without a base turns the difference map off.
+   *
+   * @param {string|object} [base] the base column
+   * @param {string} [mode = absolute] the difference mode
+   * @memberof USChoropleth
+   */
+  setDifference (base, mode = 'absolute') {
+    if (base !== undefined && !isDifferenceMode(mode)) {
+      throw new Error(`Unknown difference mode: ${mode}`);
+    }
+    this.difference = base === undefined ? undefined : { base: base, mode: mode };
+    this.markDirty('data');
+  }
+
+  /**
+   * This function labels the regions at the centroids of their largest
+   * polygons. Allowed labels are:
+   *
+   * <br> <br> "abbreviation" -- the postal codes of the states, the names of the counties
+   * <br> "name" -- the names of the regions
+   * <br> "value" -- the values of the regions.
+   *
+   * <br> <br> A label is only shown if it fits within its region and does
+   * not cover the label of a larger region, so the labels of the counties
+   * show once zoomed in. Calling this function without a label type
+   * removes the labels.
+   *
+   * @param {string} [type] the label type
+   * @memberof USChoropleth
+   */
+  setLabels (type) {
+    if (type !== undefined && !isLabelType(type)) {
+      throw new Error(`Unknown label type: ${type}`);
+    }
+    this.labelType = type;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns the label type of the regions, or undefined if
+   * the regions are not labelled.
+   *
+   * @returns {string} the label type
+   * @memberof USChoropleth
+   */
+  getLabels () {
+    return this.labelType;
+  }
+
+  /**
+   * This function adds a callout to the region, a text joined to the region
+   * by a line. The callout stays on the region while zooming, and is kept
+   * in the configuration, see toConfig. It is only shown while the region
+   * is, e.g. a callout of a county is hidden at the state level.
+   *
+   * @param {string|number} fips FIPS code of the region, e.g. "48"
+   * @param {string} text the text of the callout
+   * @param {Array} [offset = [40, -40]] the [dx, dy] position of the text
+   * from the region in pixels of the map
+   * @memberof USChoropleth
+   */
+  addAnnotation (fips, text, offset = [40, -40]) {
+    this.setAnnotations(
+      this.annotations.concat([
+        { fips: normalizeFips(fips), text: text, dx: offset[0], dy: offset[1] }
+      ])
+    );
+  }
+
+  /**
+   * This function removes the callouts of the region.
+   *
+   * @param {string|number} fips FIPS code of the region
+   * @memberof USChoropleth
+   */
+  removeAnnotation (fips) {
+    const code = normalizeFips(fips);
+    this.setAnnotations(this.annotations.filter(annotation => annotation.fips !== code));
+  }
+
+  /**
+   * This function replaces the callouts of the map by a list of
+   * {fips, text, dx, dy} objects, see addAnnotation.
+   *
+   * @param {Array} annotations the callouts
+   * @memberof USChoropleth
+   */
+  setAnnotations (annotations) {
+    this.annotations = annotations.map(annotation => ({
+      fips: normalizeFips(annotation.fips),
+      text: annotation.text,
+      dx: annotation.dx,
+      dy: annotation.dy
+    }));
+    if (this.regions) {
+      this.drawLabels();
+      this.writeHash();
+    }
+  }
+
+  /**
+   * This function returns the callouts of the map as a list of
+   * {fips, text, dx, dy} objects.
+   *
+   * @returns {Array} the callouts
+   * @memberof USChoropleth
+   */
+  getAnnotations () {
+    return this.annotations.map(annotation => Object.assign({}, annotation));
+  }
+
+  /**
+   * This function returns the difference map in an object {base, mode},
+   * or undefined if the difference map is off.
+   *
+   * @returns {object} difference map configuration
+   * @memberof USChoropleth
+   */
+  getDifference () {
+    return this.difference;
+  }
+
+  /**
+   * This function takes an array that contains statistic data from every
+   * region to determine the upper and lower boundary of the scale function.
+   * Then it returns the scale function with data range and intepolate
+   * colour function defined. A threshold scale is returned instead if the
+   * classification is on. A diverging scale is given the midpoint between
+   * the boundaries. An error is thrown if the scale could not show the data,
+   * e.g. a log scale with zero or negative values. This function does not
+   * need to be accessed by users useless there is a special purpose
+   *
+   * @param {Array} usRegionVal
+   * @param {number} [national] the national value, used as the midpoint
+   * @param {Array} [extent] the range the domain of a continuous scale covers
+   * besides the values, see setDomain
+   * @returns {Function} scale function with data range and intepolate
+   * colour function defined
+   * @memberof USChoropleth
+   */
+  getScaleFunction (usRegionVal, national, extent) {
+    const classification = this.getClassification();
+    if (classification) {
+      const breaks = getBreaks(
+        classification.method,
+        usRegionVal,
+        classification.classes
+      );
+      return d3
+        .scaleThreshold()
+        .domain(breaks)
+        .range(getSchemeColors(classification.scheme, breaks.length + 1));
+    }
+
+    const domain = getDomain(
+      this.scaleFunction,
+      extent ? usRegionVal.concat(extent) : usRegionVal,
+      this.getMidpoint(),
+      national
+    );
+    return this.scaleFunction(domain, this.getColor());
+  }
+
+  /**
+   * This function set a d3 colour interpolate function which could map
+   * a numberical value to a rgb colour. It allows
+   * a d3 colour interpolate function to be the input. For example:
+   * <br><br> d3.interpolateBlues -- interpolating blue colours
+   * <br> d3.interpolateReds -- interpolating red colours.
+   *
+   * <br><br> The default d3.interpolateViridis is readable by the
+   * colour-blind viewers, which could be checked by setColorBlindPreview.
+   *
+   * @param {Function} interpolateColor d3 interpolate function
+   * @memberof USChoropleth
+   */
+  setColor (interpolateColor) {
+    this.interpolateColor = interpolateColor;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns a d3 colour interpolate function which could map
+   * a numberical value to a rgb colour. For example:
+   * <br><br> d3.interpolateBlues -- interpolating blue colours
+   * <br> d3.interpolateReds -- interpolating red colours.
+   *
+   * @returns {Function} the d3 colour interpolate function
+   * @memberof USChoropleth
+   */
+  getColor () {
+    return this.interpolateColor;
+  }
+
+  /**
+   * This function previews the map as seen by the viewers with a colour
+   * vision deficiency, by filtering the colours of the svg. Allowed
+   * deficiencies are:
+   *
+   * <br> <br> "protanopia" -- no red cones
+   * <br> "deuteranopia" -- no green cones
+   * <br> "tritanopia" -- no blue cones
+   * <br> "achromatopsia" -- no colour vision.
+   *
+   * <br> <br> Passing undefined shows the normal colours.
+   *
+   * @param {string} [deficiency] name of the colour vision deficiency
+   * @memberof USChoropleth
+   */
+  setColorBlindPreview (deficiency) {
+    if (deficiency !== undefined && !isColorBlindness(deficiency)) {
+      throw new Error(`Unknown colour vision deficiency: ${deficiency}`);
+    }
+    this.colorBlindPreview = deficiency;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns the colour vision deficiency being previewed,
+   * or undefined if the normal colours are shown.
+   *
+   * @returns {string} name of the colour vision deficiency
+   * @memberof USChoropleth
+   */
+  getColorBlindPreview () {
+    return this.colorBlindPreview;
+  }
+
+  /**
+   * This function set the colour of stroke (the region boundaries on the map).
+   *
+   * @param {string} strokeColor css colour
+   * @memberof USChoropleth
+   */
+  setStrokeColor (strokeColor) {
+    this.strokeColor = strokeColor;
+    this.markDirty('stroke');
+  }
+
+  /**
+   * This function returns the colour of the stroke.
+   *
+   * @returns {string} css colour
+   * @memberof USChoropleth
+   */
+  getStrokeColor () {
+    return this.strokeColor;
+  }
+
+  /**
+   * This function sets how the regions are drawn. Allowed renderers are:
+   *
+   * <br> <br> "svg" -- each region is a path element (default)
+   * <br> "canvas" -- the regions are drawn on a canvas, which is faster to
+   * zoom and pan at the counties level.
+   *
+   * <br> <br> The title and the legend are drawn in svg by both renderers.
+   *
+   * @param {string} renderer name of the renderer
+   * @memberof USChoropleth
+   */
+  setRenderer (renderer) {
+    if (!isRenderer(renderer)) {
+      throw new Error(`Unknown renderer: ${renderer}`);
+    }
+    this.renderer = renderer;
+    this.markDirty('geometry');
+  }
+
+  /**
+   * This function returns the name of the renderer of the regions.
+   *
+   * @returns {string} name of the renderer
+   * @memberof USChoropleth
+   */
+  getRenderer () {
+    return this.renderer;
+  }
+
+  /**
+   * This function sets how the regions with missing data are drawn. A value
+   * is missing if it is blank or suppressed in the dataset, or if the
+   * region has no row in the dataset. These regions are filled with the
+   * given colour, hatched with diagonal lines by default, and counted in the
+   * "No data" entry of the legend.
+   *
+   * @param {string} [fill = #ddd] css colour of the regions with missing data
+   * @param {boolean} [hatch = true] whether the regions are hatched
+   * @memberof USChoropleth
+   */
+  setMissingStyle (fill = '#ddd', hatch = true) {
+    this.missingStyle = { fill: fill, hatch: hatch };
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns how the regions with missing data are drawn in an
+   * object {fill, hatch}.
+   *
+   * @returns {object} the style of the regions with missing data
+   * @memberof USChoropleth
+   */
+  getMissingStyle () {
+    return this.missingStyle;
+  }
+
+  /**
+   * This function returns a report of the FIPS codes that could not be
+   * joined in the last rendering:
+   *
+   * <br> <br> unmatchedRows -- index values (FIPS codes, or names for the
+   * other join keys, see setJoinKey) of the dataset with no matching state
+   * or county on the map
+   * <br> unmatchedGeometries -- {fips, name} of the regions shown on the map
+   * with no row in the dataset
+   * <br> missingValues -- {fips, name} of the regions shown on the map whose
+   * value is blank or suppressed
+   * <br> oneSourceOnly -- {fips, name, source} of the regions shown on the
+   * difference map found in one source only, "data" or "base", in any year
+   * of the time mode.
+   *
+   * @returns {object} the diagnostics report
+   * @memberof USChoropleth
+   */
+  getDiagnostics () {
+    if (!this.renderData) {
+      throw new Error('The map must be rendered before it is diagnosed');
+    }
+    const data = this.renderData;
+    const frame = data.frames[this.timeState ? this.timeState.index : data.frameIndex];
+    const objects = data.us.objects;
+    const mapKeys = new Set(
+      objects.states.geometries
+        .map(state => parseInt(state.id) * 1000)
+        .concat(objects.counties.geometries.map(county => parseInt(county.id)))
+    );
+
+    const unmatchedRows = data.unmatchedRows.map(row => row[this.getIndexColName()]);
+    data.rows.forEach((row, key) => {
+      if (!isNaN(key) && key !== 0 && !mapKeys.has(key)) {
+        unmatchedRows.push(row[this.getIndexColName()]);
+      }
+    });
+
+    const unmatchedGeometries = [];
+    const missingValues = [];
+    const oneSourceOnly = [];
+    data.features.forEach(d => {
+      const key = data.statisLevel.func(d.id);
+      const region = { fips: d.id, name: d.properties.name };
+      if (data.onlyIn && data.onlyIn.has(key)) {
+        oneSourceOnly.push({ fips: d.id, name: d.properties.name, source: data.onlyIn.get(key) });
+      } else if (!frame.column.has(key)) {
+        unmatchedGeometries.push(region);
+      } else if (isMissing(frame.column.get(key))) {
+        missingValues.push(region);
+      }
+    });
+
+    return {
+      unmatchedRows: unmatchedRows,
+      unmatchedGeometries: unmatchedGeometries,
+      missingValues: missingValues,
+      oneSourceOnly: oneSourceOnly
+    };
+  }
+
+  /**
+   * This function sets the legend step by passing an array containing
+   * the numerical values that are going to be displayed in the legend.
+   *
+   * @param {Array} legendStep a list of legend step values
+   * @memberof USChoropleth
+   */
+  setLegendStep (legendStep) {
+    this.legendStep = legendStep;
+    this.markDirty('style');
+  }
+
+  /**
+   * This function returns the current legend steps array
+   *
+   * @returns {Array} the current legend step values in an array
+   * @memberof USChoropleth
+   */
+  getLegengStep () {
+    return this.legendStep;
+  }
+
+  /**
+   * This function returns the promise object that contains
+   * a js map that maps each row of FIPS index with the value of the given
+   * column in the given dataset. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @param {string|Array|object} fileUrl the data source, see setFileUrl
+   * @param {string} indexColName name of the index column
+   * @param {string} dataColName name of the data column
+   * @param {object} [joinKey] how the index column is joined, see setJoinKey
+   * @returns {object} the index -> data map within a promise object
+   * @memberof USChoropleth
+   */
+  getCsvColumn (fileUrl, indexColName, dataColName, joinKey) {
+    return Promise.all([
+      loadSource(fileUrl),
+      this.getJoinResolver(indexColName, joinKey)
+    ]).then(([csv, resolve]) => {
+      return this.parseColumn(csv, resolve, dataColName);
+    });
+  }
+
+  /**
+   * This function returns the promise object that contains the index ->
+   * data map of a column of another dataset, given by an object {fileUrl,
+   * indexColName, dataColName, joinKey, stateColName}. The dataset is joined
+   * on the FIPS codes unless the joinKey and the stateColName are given,
+   * see setJoinKey. This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} column the column of the other dataset
+   * @returns {object} the index -> data map within a promise object
+   * @memberof USChoropleth
+   */
+  getJoinedColumn (column) {
+    return this.getCsvColumn(column.fileUrl, column.indexColName, column.dataColName, {
+      type: column.joinKey,
+      stateColName: column.stateColName
+    });
+  }
+
+  /**
+   * This function returns the promise object that contains the function
+   * finding the key of a row of a dataset, see createJoinResolver. This
+   * function does not need to be accessed by users useless there is a
+   * special purpose
+   *
+   * @param {string} indexColName name of the index column
+   * @param {object} [joinKey] how the index column is joined, see setJoinKey
+   * @returns {object} row -> key within a promise object
+   * @memberof USChoropleth
+   */
+  getJoinResolver (indexColName, joinKey) {
+    return loadJson(this.mapUrl).then(json => {
+      if (!resolverCache.has(json)) resolverCache.set(json, new Map());
+      const resolvers = resolverCache.get(json);
+      const key = JSON.stringify([indexColName, joinKey]);
+      if (!resolvers.has(key)) {
+        resolvers.set(key, createJoinResolver(json, indexColName, joinKey));
+      }
+      return resolvers.get(key);
+    });
+  }
+
+  /**
+   * This function maps each row of the dataset with FIPS index to the
+   * value of the given column. The rows matching no region are left out.
+   * The maps are cached with the joined rows, see joinRows, so they must
+   * not be changed. This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {Array} csv rows of the dataset
+   * @param {Function} resolve the function finding the key of a row, see getJoinResolver
+   * @param {string} dataColName name of the data column
+   * @returns {Map} the index -> data map
+   * @memberof USChoropleth
+   */
+  parseColumn (csv, resolve, dataColName) {
+    const { keys, columns } = joinRows(csv, resolve);
+    if (!columns.has(dataColName)) {
+      const column = new Map();
+      csv.forEach((row, i) => {
+        if (!isNaN(keys[i])) column.set(keys[i], parseFloat(row[dataColName]));
+      });
+      columns.set(dataColName, column);
+    }
+    return columns.get(dataColName);
+  }
+
+  /**
+   * This function finds the year-suffixed columns of the time mode
+   * from the column names of the dataset. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @param {Array} columns column names of the dataset
+   * @returns {Array} a list of {year, colName} objects sorted by year
+   * @memberof USChoropleth
+   */
+  getTimeColumns (columns) {
+    const prefix = this.getTimeSeries().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${prefix}_?(\\d{4})$`);
+    return columns
+      .map(colName => {
+        const match = colName.match(pattern);
+        return match && { year: parseInt(match[1]), colName: colName };
+      })
+      .filter(column => column)
+      .sort((a, b) => a.year - b.year);
+  }
+
+  /**
+   * This function returns the promise object that contains an object
+   * {frames, rows}. The frames are a list with one frame for each year of
+   * the time mode. Each frame holds the year, the column name, the
+   * index -> data map of the column and its national value (the FIPS 0 row,
+   * if the dataset has one, see getJson).
+   * A single frame of the data column, or of the value expression, is
+   * returned if the time mode is off. The rows map each FIPS index to the
+   * whole row of the dataset.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @returns {object} the frames and the rows within a promise object
+   * @memberof USChoropleth
+   */
+  getFrames () {
+    const expression = this.getValueExpression();
+    const join = expression && expression.join;
+    return Promise.all([
+      loadSource(this.getFileUrl()),
+      this.getJoinResolver(this.getIndexColName(), this.getJoinKey()),
+      join ? this.getJoinedColumn(join) : undefined
+    ]).then(([csv, resolve, joined]) => {
+      /** The rows matching no region are kept aside for the diagnostics */
+      const { rows, unmatchedRows } = joinRows(csv, resolve);
+      if (expression) {
+        if (this.getTimeSeries()) {
+          throw new Error('The time mode could not be used with a value expression');
+        }
+        const missingColumns = expression.columns.filter(
+          colName => csv.columns.indexOf(colName) === -1
+        );
+        if (missingColumns.length) {
+          throw new Error(
+            `No column found for the value expression: ${missingColumns.join(', ')}`
+          );
+        }
+        const column = new Map();
+        rows.forEach((row, fips) => {
+          column.set(fips, expression.evaluate(row, joined && joined.get(fips)));
+        });
+        const frame = {
+          year: undefined,
+          colName: expression.formula,
+          column: column,
+          national: column.get(0)
+        };
+        return { frames: [frame], rows: rows, unmatchedRows: unmatchedRows };
+      }
+
+      let timeColumns = [{ year: undefined, colName: this.getDataColName() }];
+      if (this.getTimeSeries()) {
+        timeColumns = this.getTimeColumns(csv.columns);
+        if (!timeColumns.length) {
+          throw new Error(
+            `No year-suffixed columns found for the prefix: ${this.getTimeSeries()}`
+          );
+        }
+      }
+      const frames = timeColumns.map(column => {
+        const frame = {
+          year: column.year,
+          colName: column.colName,
+          column: this.parseColumn(csv, resolve, column.colName)
+        };
+        frame.national = frame.column.get(0);
+        return frame;
+      });
+      return { frames: frames, rows: rows, unmatchedRows: unmatchedRows };
+    });
+  }
+
+  /**
+   * This function returns the promise object that contains
+   * the FIPS index -> weight map used by the "weightedMean" roll-up, or
+   * undefined if no weight is needed. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @returns {object} the index -> weight map within a promise object
+   * @memberof USChoropleth
+   */
+  getWeights () {
+    const aggregation = this.getAggregation();
+    if (!aggregation || !aggregation.weight) {
+      return Promise.resolve(undefined);
+    }
+    const weight = aggregation.weight;
+    return typeof weight === 'string'
+      ? this.getCsvColumn(this.getFileUrl(), this.getIndexColName(), weight, this.getJoinKey())
+      : this.getJoinedColumn(weight);
+  }
+
+  /**
+   * This function returns the promise object that contains
+   * the FIPS index -> data map of the second column of the bivariate mode,
+   * or undefined if the bivariate mode is off. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @returns {object} the index -> data map within a promise object
+   * @memberof USChoropleth
+   */
+  getBivariateColumn () {
+    const bivariate = this.getBivariate();
+    if (!bivariate) {
+      return Promise.resolve(undefined);
+    }
+    const second = bivariate.second;
+    return typeof second === 'string'
+      ? this.getCsvColumn(this.getFileUrl(), this.getIndexColName(), second, this.getJoinKey())
+      : this.getJoinedColumn(second);
+  }
+
+  /**
+   * This function returns the promise object that contains the index ->
+   * data map of the column sizing the proportional symbols, or undefined
+   * if the symbols are off. This function does not need to be accessed by
+   * users useless there is a special purpose
+   *
+   * @returns {object} the index -> data map within a promise object
+   * @memberof USChoropleth
+   */
+  getSymbolColumn () {
+    const symbols = this.getSymbols();
+    if (!symbols) {
+      return Promise.resolve(undefined);
+    }
+    const column = symbols.column;
+    return typeof column === 'string'
+      ? this.getCsvColumn(this.getFileUrl(), this.getIndexColName(), column, this.getJoinKey())
+      : this.getJoinedColumn(column);
+  }
+
+  /**
+   * This function returns the promise object that contains the index ->
+   * data map of the base column of the difference map, or undefined if the
+   * difference map is off. This function does not need to be accessed by
+   * users useless there is a special purpose
+   *
+   * @returns {object} the index -> data map within a promise object
+   * @memberof USChoropleth
+   */
+  getBaseColumn () {
+    const difference = this.getDifference();
+    if (!difference) {
+      return Promise.resolve(undefined);
+    }
+    const base = difference.base;
+    return typeof base === 'string'
+      ? this.getCsvColumn(this.getFileUrl(), this.getIndexColName(), base, this.getJoinKey())
+      : this.getJoinedColumn(base);
+  }
+
+  /**
+   * This function returns the promise object that contains
+   * geographical data which is used by d3 to render the map.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @returns {object} geographical data within a promise object
+   * @memberof USChoropleth
+   */
+  getJson () {
+    return loadJson(this.mapUrl).then(json => {
+      return Promise.all([
+        this.getFrames(),
+        this.getWeights(),
+        this.getBivariateColumn(),
+        this.getSymbolColumn(),
+        this.getBaseColumn()
+      ]).then(([{ frames, rows, unmatchedRows }, weights, bivariateColumn, symbolColumn, baseColumn]) => {
+        const statisLevel = this.getStatisLevelConfig();
+        const aggregation = this.getAggregation();
+        const drillState = this.getDrillState();
+        if (drillState && !drillState.name) {
+          const state = json.objects.states.geometries.find(
+            state => state.id === drillState.fips
+          );
+          if (!state) {
+            throw new Error(`No state found with the FIPS code: ${drillState.fips}`);
+          }
+          drillState.name = state.properties.name;
+          if (this.drillZoom) {
+            this.drillZoom = false;
+            this.zoomTo(topojson.feature(json, state), 0);
+          }
+        }
+        const geometries = json.objects[statisLevel.key].geometries.filter(
+          level => !drillState || level.id.slice(0, 2) === drillState.fips
+        );
+
+        /** Roll the county rows up to the state level */
+        if (aggregation && statisLevel.key === 'states') {
+          frames.forEach(frame => {
+            const rollUp = aggregateCounties(frame.column, aggregation.method, weights);
+            frame.column = rollUp.values;
+            frame.counts = rollUp.counts;
+          });
+          if (bivariateColumn) {
+            bivariateColumn = aggregateCounties(
+              bivariateColumn,
+              aggregation.method,
+              weights
+            ).values;
+          }
+          /** The symbols show counts, which add up */
+          if (symbolColumn) {
+            symbolColumn = aggregateCounties(symbolColumn, 'sum').values;
+          }
+          if (baseColumn) {
+            baseColumn = aggregateCounties(baseColumn, aggregation.method, weights).values;
+          }
+        }
+
+        /** Show the change from the base column in every year, the regions
+         * found in one source only in any year are kept for the diagnostics */
+        let onlyIn;
+        if (baseColumn) {
+          const mode = this.getDifference().mode;
+          onlyIn = new Map();
+          frames.forEach(frame => {
+            const difference = getDifference(frame.column, baseColumn, mode);
+            frame.column = difference.values;
+            frame.national = difference.values.get(0);
+            frame.onlyIn = difference.onlyIn;
+            difference.onlyIn.forEach((source, key) => {
+              if (!onlyIn.has(key)) onlyIn.set(key, source);
+            });
+          });
+        }
+
+        /** Without a national row, the national value is the mean of the states */
+        frames.forEach(frame => {
+          if (isMissing(frame.national)) {
+            frame.national = getNationalMean(frame.column);
+          }
+          frame.usRegionVal = geometries.map(
+            level => {
+              return frame.column.get(statisLevel.func(level.id));
+            }
+          );
+        });
+
+        /** Start from the year of the data column if it is in the time series */
+        const frame =
+          frames.find(frame => frame.colName === this.getDataColName()) ||
+          frames[0];
+
+        /** The values of every year so that the colour domain is fixed across years */
+        const usRegionVal = [].concat(...frames.map(frame => frame.usRegionVal));
+        return {
+          us: json,
+          features: getFeatures(json, statisLevel.key, drillState, geometries),
+          geometries: geometries,
+          column: frame.column,
+          usRegionVal: usRegionVal,
+          statisLevel: statisLevel,
+          counts: frame.counts,
+          frames: frames,
+          frameIndex: frames.indexOf(frame),
+          rows: rows,
+          unmatchedRows: unmatchedRows,
+          bivariateColumn: bivariateColumn,
+          bivariateVal:
+            bivariateColumn &&
+            geometries.map(level => bivariateColumn.get(statisLevel.func(level.id))),
+          symbolColumn: symbolColumn,
+          baseColumn: baseColumn,
+          onlyIn: onlyIn
+        };
+      });
+    });
+  }
+
+  /**
+   * The main function that renders the corresponding visualisation on the webpage.
+   * Users should always call this function after modifing the properties
+   * properly (via the set methods provided)
+   *
+   * @returns {object} a promise object resolved once the rendering is done
+   * @memberof USChoropleth
+   */
+  execute () {
+    return this.render();
+  }
+
+  /**
+   * This function renders the visualisation and returns a promise object
+   * resolved once the rendering is done. Only the parts marked by the set
+   * methods since the last rendering are redone, e.g. a new colour only
+   * recolours the drawn regions. If it is called again before the data is
+   * loaded, only the latest call draws the map. This function does not need
+   * to be accessed by users useless there is a special purpose
+   *
+   * @returns {object} a promise object
+   * @memberof USChoropleth
+   */
+  render () {
+    const token = ++this.renderToken;
+    const dirty = Object.assign({}, this.dirty);
+    const reload = dirty.data || dirty.geometry || !this.renderData;
+    const loading = reload ? this.getJson() : Promise.resolve(this.renderData);
+    this.rendering = loading.then(data => {
+      /** A later rendering has started, the map is left to it */
+      if (token !== this.renderToken) {
+        return this.rendering;
+      }
+
+      /** The colours are checked first, so that the map is left as it is if they could not be computed */
+      const redraw = dirty.geometry || !this.regions;
+      const colorScale =
+        redraw || dirty.data || dirty.style ? this.getColorScale(data) : undefined;
+
+      if (!this.svg) {
+        this.mount('#USChoropleth');
+      }
+      const previousLevel = this.renderData && this.renderData.statisLevel.key;
+      this.renderData = data;
+
+      if (redraw) {
+        this.drawRegions(data);
+      } else if (dirty.stroke) {
+        this.regions.stroke(this.getStrokeColor());
+      }
+      if (colorScale) {
+        this.drawValues(data, colorScale);
+      }
+      this.drawPlugins(data);
+
+      /** Clear the flags set before this rendering started, once it is drawn,
+       * so that a rendering that failed is redone by the next one */
+      Object.keys(dirty).forEach(name => {
+        if (this.dirty[name] === dirty[name]) {
+          delete this.dirty[name];
+        }
+      });
+
+      this.writeHash();
+      if (previousLevel && previousLevel !== data.statisLevel.key) {
+        this.dispatch.call('levelchange', this, data.statisLevel.key, previousLevel);
+      }
+      this.dispatch.call('render', this);
+    }).catch(error => {
+      if (token === this.renderToken) {
+        this.dispatch.call('dataerror', this, error);
+      }
+      throw error;
+    });
+    return this.rendering;
+  }
+
+  /**
+   * This function marks the parts of the rendering that have to be redone
+   * by the next call of execute. The parts are:
+   *
+   * <br> <br> "geometry" -- the regions are drawn again
+   * <br> "data" -- the data is joined to the regions again
+   * <br> "style" -- the regions and the legend are coloured again
+   * <br> "stroke" -- the stroke colour of the regions is set again.
+   *
+   * <br> <br> This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {...string} names the parts to redo
+   * @memberof USChoropleth
+   */
+  markDirty (...names) {
+    names.forEach(name => {
+      this.dirty[name] = ++this.dirtyCount;
+    });
+  }
+
+  /**
+   * This function clears the svg and draws the regions of the map, the
+   * legend groups and the pattern definitions. The regions are coloured by
+   * drawValues. This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} data geographical data returned by getJson
+   * @memberof USChoropleth
+   */
+  drawRegions (data) {
+    const svg = this.svg;
+    svg.selectAll('*').remove();
+    this.defs = svg.append('defs');
+
+    /** Draw the US map */
+    this.mapGroup = svg.append('g').attr('id', this.getElementId('usMap'));
+    this.regions = createRenderer(this.getRenderer());
+    this.regions.draw(this.mapGroup, data.features, this.getViewBox(), {
+      mouseover: d => {
+        this.showTooltip(d);
+        this.dispatch.call('regionhover', this, this.getTooltipContext(d));
+      },
+      mousemove: d => this.showTooltip(d),
+      mouseout: () => {
+        this.hideTooltip();
+        this.dispatch.call('regionhover', this, null);
+      },
+      click: d => {
+        /** A state is drilled down into, and selected with Shift or Ctrl held */
+        const event = d3.event;
+        if (
+          this.renderData.statisLevel.key === 'states' &&
+          !(event.shiftKey || event.ctrlKey || event.metaKey)
+        ) {
+          /** The errors are dispatched as "dataerror" by render */
+          this.drillDown(d.id).catch(() => {});
+        } else {
+          this.toggleSelection(d.id);
+        }
+        this.dispatch.call('regionclick', this, this.getTooltipContext(d));
+      },
+      focus: d => {
+        /** The focus moved by moveFocus is handled there */
+        if (!this.movingFocus) {
+          this.moveFocus(d || this.focusedRegion || this.getTabOrder()[0]);
+        }
+      },
+      blur: () => {
+        this.regions.focus();
+        this.hideTooltip();
+      }
+    });
+    this.regions.stroke(this.getStrokeColor());
+    this.regions.highlight(this.isSelected());
+    this.pinned = undefined;
+    this.focusedRegion = undefined;
+    this.regions.zoom(d3.zoomTransform(svg.node()));
+
+    /** The keys pressed on the focused region bubble up to the map group */
+    this.mapGroup
+      .attr('role', 'application')
+      .on('keydown', () => this.handleKeyDown(d3.event));
+
+    /** The proportional symbols are drawn above the regions */
+    this.symbolGroup = this.mapGroup
+      .append('g')
+      .attr('transform', d3.zoomTransform(svg.node()));
+
+    /** The layers of the plugins are drawn above the regions */
+    this.layerGroup = this.mapGroup
+      .append('g')
+      .attr('transform', d3.zoomTransform(svg.node()));
+
+    /** The labels and the callouts keep their size, so they are placed at each zoom */
+    this.labelGroup = this.mapGroup
+      .append('g')
+      .attr('pointer-events', 'none')
+      .attr('aria-hidden', true)
+      .attr('font-family', 'sans-serif')
+      .attr('font-size', LABEL_FONT_SIZE)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#222')
+      .attr('stroke', 'white')
+      .attr('stroke-width', 3)
+      .attr('stroke-linejoin', 'round')
+      .attr('paint-order', 'stroke');
+    this.annotationGroup = this.mapGroup
+      .append('g')
+      .attr('pointer-events', 'none')
+      .attr('font-family', 'sans-serif')
+      .attr('font-size', LABEL_FONT_SIZE + 1);
+
+    /** The legend is not zoomed with the map */
+    this.legend = svg.append('g');
+    this.missingLegend = svg.append('g');
+    this.symbolLegend = svg.append('g');
+
+    this.drawSearch(svg);
+  }
+
+  /**
+   * This function returns the colour scale of the data, the bivariate
+   * scale in the bivariate mode. It throws an error if the values could
+   * not be coloured, e.g. by a log scale with negative values.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} data geographical data returned by getJson
+   * @returns {Function} the colour scale
+   * @memberof USChoropleth
+   */
+  getColorScale (data) {
+    const bivariate = this.getBivariate();
+    return bivariate
+      ? bivariateScale(
+          data.usRegionVal,
+          data.bivariateVal,
+          bivariate.n,
+          bivariate.palette
+        )
+      : this.getScaleFunction(
+          data.usRegionVal,
+          data.frames[data.frameIndex].national,
+          this.getDomain()
+        );
+  }
+
+  /**
+   * This function colours the drawn regions by the data, and draws the
+   * legend, the title and the controls above the map.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} data geographical data returned by getJson
+   * @param {Function} colorScale colour scale returned by getColorScale
+   * @memberof USChoropleth
+   */
+  drawValues (data, colorScale) {
+    /** Stop the playback of the previous rendering */
+    this.pause();
+    this.timeState = undefined;
+    this.removeControls();
+
+    /** Draw the Title */
+    if (this.titleNode) {
+      this.titleNode.text(this.getTitle());
+    }
+    const bivariate = this.getBivariate();
+
+    /** Get the fill of the regions with missing data */
+    const missingStyle = this.getMissingStyle();
+    let missingFill = missingStyle.fill;
+    this.defs.selectAll('*').remove();
+    if (missingStyle.hatch) {
+      missingFill = `url(#${this.getElementId('hatch')})`;
+      this.drawHatch(this.defs, missingStyle.fill);
+    }
+
+    /** The regions found in one source only of the difference map in a frame are hatched apart */
+    const isOneSource = frame => d =>
+      Boolean(frame.onlyIn && frame.onlyIn.has(data.statisLevel.func(d.id)));
+    const oneSourceFill = `url(#${this.getElementId('oneSourceHatch')})`;
+    const oneSource = frame =>
+      data.onlyIn && {
+        fill: oneSourceFill,
+        count: data.features.filter(isOneSource(frame)).length
+      };
+    if (data.onlyIn) {
+      this.drawHatch(this.defs, missingStyle.fill, 'oneSourceHatch', '#d95f02');
+    }
+
+    /** Check whether a region has missing data in a frame */
+    const missing = frame => d => {
+      const key = data.statisLevel.func(d.id);
+      return (
+        !isOneSource(frame)(d) &&
+        (isMissing(frame.column.get(key)) ||
+          (bivariate && isMissing(data.bivariateColumn.get(key))))
+      );
+    };
+
+    /** Get the fill colour of the regions in a frame */
+    const fill = frame => d => {
+      const key = data.statisLevel.func(d.id);
+      if (isOneSource(frame)(d)) {
+        return oneSourceFill;
+      }
+      if (missing(frame)(d)) {
+        return missingFill;
+      }
+      return bivariate
+        ? colorScale(frame.column.get(key), data.bivariateColumn.get(key))
+        : colorScale(frame.column.get(key));
+    };
+    const missingCount = frame => data.features.filter(missing(frame)).length;
+
+    this.regions.fill(fill(data.frames[data.frameIndex]));
+    this.regions.dim(this.isDimmed());
+    this.regions.label(d => this.getAccessibleLabel(d));
+    this.mapGroup.attr('aria-label', `${this.getTitle()}. ${KEYBOARD_HELP}`);
+
+    /** Preview the colours as seen with a colour vision deficiency */
+    const preview = this.getColorBlindPreview();
+    if (preview) {
+      this.drawColorBlindFilter(this.defs, preview);
+    }
+    this.svg.style(
+      'filter',
+      preview ? `url(#${this.getElementId('colorBlindness')})` : null
+    );
+
+    /** Draw the legend, with the "No data" entry and the symbol legend below it */
+    const legend = this.legend;
+    legend.selectAll('*').remove();
+    if (bivariate) {
+      this.drawBivariateLegend(legend, colorScale);
+    } else {
+      this.drawLegend(
+        legend,
+        colorScale,
+        data.frames[data.frameIndex].usRegionVal
+      );
+    }
+    const missingLegend = this.missingLegend;
+    this.drawMissingLegend(
+      missingLegend,
+      missingFill,
+      missingCount(data.frames[data.frameIndex]),
+      oneSource(data.frames[data.frameIndex])
+    );
+    this.drawSymbols(data);
+    this.placeLegends();
+
+    /** Draw the playback control of the time mode */
+    if (this.getTimeSeries()) {
+      this.timeState = {
+        frames: data.frames,
+        index: data.frameIndex,
+        legend: legend,
+        missingLegend: missingLegend,
+        missingFill: missingFill,
+        missingCount: missingCount,
+        oneSource: oneSource,
+        colorScale: colorScale,
+        fill: fill,
+        timer: undefined
+      };
+      this.drawTimeControl(this.svg);
+    }
+
+    /** Draw the breadcrumb of the state being drilled down into */
+    if (this.getDrillState()) {
+      this.drawBreadcrumb(this.svg);
+    }
+    this.drawDataTable(this.svg);
+    if (this.getHistogram()) {
+      this.drawHistogram(this.svg, bivariate ? undefined : colorScale);
+    }
+    this.fillLabels();
+  }
+
+  /**
+   * This function draws the proportional symbols, see setSymbols, and their
+   * legend. The largest circles are drawn first so that the smaller ones
+   * are not hidden behind them. The circles are sized in the coordinates of
+   * the map, so they grow with the zoom like the regions.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} data geographical data returned by getJson
+   * @memberof USChoropleth
+   */
+  drawSymbols (data) {
+    this.symbolGroup.selectAll('*').remove();
+    this.symbolLegend.selectAll('*').remove();
+    const symbols = this.getSymbols();
+    if (!symbols) return;
+
+    const path = d3.geoPath();
+    const circles = data.features
+      .map(d => ({
+        feature: d,
+        value: data.symbolColumn.get(data.statisLevel.func(d.id))
+      }))
+      .filter(circle => !isMissing(circle.value) && circle.value > 0)
+      .sort((a, b) => b.value - a.value);
+    const radius = d3
+      .scaleSqrt()
+      .domain([0, circles.length ? circles[0].value : 1])
+      .range([0, symbols.maxRadius]);
+
+    /** The circles let the mouse through to the regions below them */
+    this.symbolGroup
+      .attr('pointer-events', 'none')
+      .selectAll('circle')
+      .data(circles)
+      .join('circle')
+      .attr('transform', circle => `translate(${path.centroid(circle.feature)})`)
+      .attr('r', circle => radius(circle.value))
+      .attr('fill', symbols.fill)
+      .attr('fill-opacity', 0.6)
+      .attr('stroke', 'white')
+      .attr('stroke-width', 0.5)
+      .attr('vector-effect', 'non-scaling-stroke');
+
+    this.drawSymbolLegend(this.symbolLegend, radius, symbols.fill);
+  }
+
+  /**
+   * This function draws the legend of the proportional symbols, nested
+   * circles of the largest value, a quarter and a sixteenth of it, rounded
+   * to one significant digit. This function does not need to be accessed by
+   * users useless there is a special purpose
+   *
+   * @param {object} legend d3 selection of the legend group
+   * @param {Function} radius the square root scale sizing the circles
+   * @param {string} fill css colour of the circles
+   * @memberof USChoropleth
+   */
+  drawSymbolLegend (legend, radius, fill) {
+    const max = radius.domain()[1];
+    const maxRadius = radius(max);
+    /** The values are rounded down to one significant digit, so that the
+     * largest circle is not larger than the circle of the largest value */
+    const roundDown = value => {
+      const rounded = +d3.format('.1r')(value);
+      return rounded > value
+        ? +d3.format('.1r')(rounded - Math.pow(10, Math.floor(Math.log10(value))))
+        : rounded;
+    };
+    const values = [1, 1 / 4, 1 / 16]
+      .map(fraction => roundDown(max * fraction))
+      .filter(value => value > 0);
+    const format = getLegendFormat(values);
+    const column = this.getSymbols().column;
+
+    legend
+      .append('text')
+      .attr('class', 'legendTitle')
+      .text(typeof column === 'string' ? column : column.dataColName);
+
+    /** The circles stand on the same baseline */
+    const baseline = 2 * maxRadius + 10;
+    const entry = legend
+      .selectAll('g')
+      .data(values)
+      .join('g');
+    entry
+      .append('circle')
+      .attr('cx', maxRadius)
+      .attr('cy', value => baseline - radius(value))
+      .attr('r', value => radius(value))
+      .attr('fill', fill)
+      .attr('fill-opacity', 0.6)
+      .attr('stroke', '#888')
+      .attr('stroke-width', 0.5);
+    entry
+      .append('line')
+      .attr('x1', maxRadius)
+      .attr('x2', 2 * maxRadius + 10)
+      .attr('y1', value => baseline - 2 * radius(value))
+      .attr('y2', value => baseline - 2 * radius(value))
+      .attr('stroke', '#888')
+      .attr('stroke-dasharray', '2,2');
+    entry
+      .append('text')
+      .attr('class', 'label')
+      .attr('x', 2 * maxRadius + 14)
+      .attr('y', value => baseline - 2 * radius(value))
+      .attr('dy', '0.35em')
+      .text(value => format(value));
+  }
+
+  /**
+   * This function sets the texts of the labels of the regions being shown,
+   * see setLabels, and draws them. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  fillLabels () {
+    const type = this.getLabels();
+    const format = getLegendFormat(this.renderData.usRegionVal);
+    const getText = d => {
+      if (type === 'abbreviation' && d.id.length === 2) {
+        return STATE_ABBREVIATIONS.get(d.id);
+      }
+      if (type === 'value') {
+        const value = this.getRegionValue(d.id);
+        return isMissing(value) ? undefined : format(value);
+      }
+      return d.properties.name;
+    };
+    this.labelItems = type
+      ? this.renderData.features
+          .map((d, index) => ({ index: index, text: getText(d) }))
+          .filter(item => item.text)
+      : [];
+    this.drawLabels();
+  }
+
+  /**
+   * This function places the labels of the regions and the callouts at the
+   * zoom transform of the map, see placeLabels. This function does not
+   * need to be accessed by users useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  drawLabels () {
+    const features = this.renderData.features;
+    const transform = d3.zoomTransform(this.svg.node());
+    const anchors = getLabelAnchors(features);
+
+    this.labelGroup
+      .selectAll('text')
+      .data(placeLabels(this.labelItems, anchors, transform, this.getViewBox()), label => label.index)
+      .join('text')
+      .attr('x', label => label.x)
+      .attr('y', label => label.y)
+      .attr('dy', '0.35em')
+      .text(label => label.text);
+
+    /** The callouts of the regions not being shown are left out */
+    const callouts = [];
+    this.annotations.forEach(annotation => {
+      const index = features.findIndex(d => d.id === annotation.fips);
+      if (index === -1) return;
+      const [x, y] = transform.apply(anchors[index].point);
+      callouts.push({ annotation: annotation, x: x, y: y });
+    });
+    const callout = this.annotationGroup
+      .selectAll('g')
+      .data(callouts)
+      .join(enter => {
+        const g = enter.append('g');
+        g.append('line')
+          .attr('stroke', '#222')
+          .attr('stroke-width', 1);
+        g.append('circle')
+          .attr('r', 2.5)
+          .attr('fill', '#222')
+          .attr('stroke', 'white');
+        g.append('text')
+          .attr('dy', '0.35em')
+          .attr('fill', '#222')
+          .attr('stroke', 'white')
+          .attr('stroke-width', 3)
+          .attr('stroke-linejoin', 'round')
+          .attr('paint-order', 'stroke');
+        return g;
+      });
+    callout
+      .select('line')
+      .attr('x1', c => c.x)
+      .attr('y1', c => c.y)
+      .attr('x2', c => c.x + c.annotation.dx)
+      .attr('y2', c => c.y + c.annotation.dy);
+    callout
+      .select('circle')
+      .attr('cx', c => c.x)
+      .attr('cy', c => c.y);
+    callout
+      .select('text')
+      .attr('x', c => c.x + c.annotation.dx + (c.annotation.dx < 0 ? -3 : 3))
+      .attr('y', c => c.y + c.annotation.dy)
+      .attr('text-anchor', c => (c.annotation.dx < 0 ? 'end' : 'start'))
+      .text(c => c.annotation.text);
+  }
+
+  /**
+   * This function draws the layers of the plugins added by use.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} data geographical data returned by getJson
+   * @memberof USChoropleth
+   */
+  drawPlugins (data) {
+    this.layerGroup.selectAll('*').remove();
+    if (!this.plugins.length) return;
+
+    const context = {
+      features: data.features,
+      path: d3.geoPath(),
+      getValue: fips => this.getRegionValue(fips),
+      statisLevel: data.statisLevel.key,
+      transform: d3.zoomTransform(this.svg.node())
+    };
+    this.plugins.forEach(plugin => {
+      plugin.call(this, this.layerGroup.append('g'), context);
+    });
+  }
+
+  /**
+   * This function places the legend at the right of the map, with the
+   * "No data" entry and then the legend of the proportional symbols below
+   * it. They are moved to the left as far as needed for their labels to
+   * fit within the view box, and up as far as needed for the symbols to fit
+   * above its bottom. This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  placeLegends () {
+    const bivariate = this.getBivariate();
+    const [x, y, width, height] = this.getViewBox();
+    const right = x + width - LEGEND_MARGIN;
+    const bottom = y + height - LEGEND_MARGIN;
+    const position = bivariate ? [870, 450] : [860, 400];
+    const legendBox = this.legend.node().getBBox();
+    const missingBox = this.missingLegend.node().getBBox();
+    const symbolBox = this.getSymbols() ? this.symbolLegend.node().getBBox() : undefined;
+
+    /** The key of the bivariate legend is centred on its position */
+    const left = position[0] + (bivariate ? legendBox.x : 0);
+    const shift = Math.min(
+      0,
+      right - (position[0] + legendBox.x + legendBox.width),
+      right - (left + missingBox.x + missingBox.width)
+    );
+    const missingTop = legendBox.y + legendBox.height + 10;
+    const symbolTop = missingTop + missingBox.y + missingBox.height + 10;
+    const lift = symbolBox
+      ? Math.min(0, bottom - (position[1] + symbolTop + symbolBox.height))
+      : 0;
+    const top = position[1] + lift;
+
+    this.legend.attr('transform', `translate(${position[0] + shift},${top})`);
+    this.missingLegend.attr('transform', `translate(${left + shift},${top + missingTop})`);
+    if (symbolBox) {
+      this.symbolLegend.attr(
+        'transform',
+        `translate(${Math.min(left + shift, right - symbolBox.x - symbolBox.width)},${top + symbolTop - symbolBox.y})`
+      );
+    }
+  }
+
+  /**
+   * This function draws the legend of the colour scale. A classed colour
+   * scale is drawn as discrete swatches labelled with the range of each
+   * class and the number of regions falling in it.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} legend d3 selection of the legend group
+   * @param {Function} colorScale colour scale returned by getScaleFunction
+   * @param {Array} usRegionVal statistic data of every region being shown
+   * @memberof USChoropleth
+   */
+  drawLegend (legend, colorScale, usRegionVal) {
+    const format = getLegendFormat(usRegionVal.concat(colorScale.domain()));
+    const expression = this.getValueExpression();
+    const legendScale = legendColor()
+      .title(expression ? expression.formula : this.getTitle())
+      .titleWidth(80)
+      .labelFormat(format)
+      .scale(colorScale);
+
+    if (this.getClassification()) {
+      const breaks = colorScale.domain();
+      const values = usRegionVal.filter(
+        value => value !== undefined && !isNaN(value)
+      );
+      const counts = colorScale.range().map(() => 0);
+      values.forEach(value => {
+        counts[d3.bisectRight(breaks, value)] += 1;
+      });
+      /** Without values nor thresholds, the only class has no range */
+      const [min, max] = d3.extent(values.concat(breaks));
+      legendScale.labels(({ i }) => {
+        if (min === undefined) return `No values (${counts[i]})`;
+        const lower = i === 0 ? min : breaks[i - 1];
+        const upper = i === breaks.length ? max : breaks[i];
+        return `${format(lower)} – ${format(upper)} (${counts[i]})`;
+      });
+    } else if (isDivergingScale(this.scaleFunction) && !Array.isArray(this.getLegengStep())) {
+      /** The midpoint is one of the cells so that both sides are shown, a side
+       * the values do not reach is left out */
+      const [min, mid, max] = colorScale.domain();
+      const half = Math.max(1, Math.floor(this.getLegengStep() / 2));
+      const cells = d3
+        .range(-half, half + 1)
+        .filter(i => (i < 0 ? min < mid : i === 0 || max > mid))
+        .map(i => mid + (i / half) * (i < 0 ? mid - min : max - mid));
+      legendScale.cells(cells);
+    } else {
+      legendScale.cells(this.getLegengStep());
+    }
+
+    legend.selectAll('*').remove();
+    legend.call(legendScale);
+  }
+
+  /**
+   * This function draws the hatch pattern of the regions with missing data.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} defs d3 selection of the defs element
+   * @param {string} fill css colour of the background of the pattern
+   * @param {string} [name = hatch] name of the pattern, see getElementId
+   * @param {string} [color = #888] css colour of the lines of the pattern
+   * @memberof USChoropleth
+   */
+  drawHatch (defs, fill, name = 'hatch', color = '#888') {
+    const pattern = defs
+      .append('pattern')
+      .attr('id', this.getElementId(name))
+      .attr('patternUnits', 'userSpaceOnUse')
+      .attr('width', 4)
+      .attr('height', 4)
+      .attr('patternTransform', 'rotate(45)');
+    pattern
+      .append('rect')
+      .attr('width', 4)
+      .attr('height', 4)
+      .attr('fill', fill);
+    pattern
+      .append('line')
+      .attr('x1', 0)
+      .attr('x2', 0)
+      .attr('y1', 0)
+      .attr('y2', 4)
+      .attr('stroke', color)
+      .attr('stroke-width', 1.5);
+  }
+
+  /**
+   * This function draws the svg filter simulating a colour vision
+   * deficiency, see setColorBlindPreview. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @param {object} defs d3 selection of the svg defs
+   * @param {string} deficiency name of the colour vision deficiency
+   * @memberof USChoropleth
+   */
+  drawColorBlindFilter (defs, deficiency) {
+    defs
+      .append('filter')
+      .attr('id', this.getElementId('colorBlindness'))
+      .append('feColorMatrix')
+      .attr('type', 'matrix')
+      .attr('values', getColorMatrix(deficiency));
+  }
+
+  /**
+   * This function draws the "No data" entry of the legend with the number
+   * of regions with missing data, followed by the entry of the regions
+   * found in one source only of the difference map. This function does not
+   * need to be accessed by users useless there is a special purpose
+   *
+   * @param {object} missingLegend d3 selection of the legend entry group
+   * @param {string} missingFill fill of the regions with missing data
+   * @param {number} count number of regions with missing data
+   * @param {object} [oneSource] {fill, count} of the regions found in one source only
+   * @memberof USChoropleth
+   */
+  drawMissingLegend (missingLegend, missingFill, count, oneSource) {
+    missingLegend.selectAll('*').remove();
+    missingLegend
+      .append('rect')
+      .attr('width', 15)
+      .attr('height', 15)
+      .attr('fill', missingFill)
+      .attr('stroke', '#888')
+      .attr('stroke-width', 0.5);
+    missingLegend
+      .append('text')
+      .attr('class', 'label')
+      .attr('x', 25)
+      .attr('y', 12.5)
+      .text(`No data (${count})`);
+    if (oneSource) {
+      missingLegend
+        .append('rect')
+        .attr('y', 20)
+        .attr('width', 15)
+        .attr('height', 15)
+        .attr('fill', oneSource.fill)
+        .attr('stroke', '#888')
+        .attr('stroke-width', 0.5);
+      missingLegend
+        .append('text')
+        .attr('class', 'label')
+        .attr('x', 25)
+        .attr('y', 32.5)
+        .text(`In one source only (${oneSource.count})`);
+    }
+  }
+
+  /**
+   * This function draws the legend of the bivariate mode, a square key
+   * rotated by 45 degrees with the data column on the horizontal axis and
+   * the second column on the vertical axis.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} legend d3 selection of the legend group
+   * @param {Function} colorScale colour scale returned by bivariateScale
+   * @memberof USChoropleth
+   */
+  drawBivariateLegend (legend, colorScale) {
+    const n = colorScale.n;
+    const k = 24;
+    const arrowId = this.getElementId('arrow');
+    const key = legend
+      .attr('font-family', 'sans-serif')
+      .attr('font-size', 10)
+      .append('g')
+      .attr(
+        'transform',
+        `translate(${(-k * n) / 2},${(-k * n) / 2}) rotate(-45 ${(k * n) / 2},${(k * n) / 2})`
+      );
+
+    key
+      .append('marker')
+      .attr('id', arrowId)
+      .attr('markerHeight', 10)
+      .attr('markerWidth', 10)
+      .attr('refX', 6)
+      .attr('refY', 3)
+      .attr('orient', 'auto')
+      .append('path')
+      .attr('d', 'M0,0L9,3L0,6Z');
+
+    key
+      .selectAll('rect')
+      .data(d3.cross(d3.range(n), d3.range(n)))
+      .join('rect')
+      .attr('width', k)
+      .attr('height', k)
+      .attr('x', ([i, j]) => i * k)
+      .attr('y', ([i, j]) => (n - 1 - j) * k)
+      .attr('fill', ([i, j]) => colorScale.palette[j * n + i]);
+
+    key
+      .append('line')
+      .attr('marker-end', `url(#${arrowId})`)
+      .attr('x1', 0)
+      .attr('x2', n * k)
+      .attr('y1', n * k)
+      .attr('y2', n * k)
+      .attr('stroke', 'black')
+      .attr('stroke-width', 1.5);
+    key
+      .append('line')
+      .attr('marker-end', `url(#${arrowId})`)
+      .attr('y1', n * k)
+      .attr('y2', 0)
+      .attr('stroke', 'black')
+      .attr('stroke-width', 1.5);
+
+    key
+      .append('text')
+      .attr('font-weight', 'bold')
+      .attr('dy', '0.71em')
+      .attr('transform', `rotate(90) translate(${(n / 2) * k},6)`)
+      .attr('text-anchor', 'middle')
+      .text(this.getBivariateName());
+    key
+      .append('text')
+      .attr('font-weight', 'bold')
+      .attr('dy', '0.71em')
+      .attr('transform', `translate(${(n / 2) * k},${n * k + 6})`)
+      .attr('text-anchor', 'middle')
+      .text(
+        this.getValueExpression()
+          ? this.getValueExpression().formula
+          : this.getDataColName()
+      );
+  }
+
+  /**
+   * This function returns the name of the second column of the bivariate mode.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @returns {string} name of the second column
+   * @memberof USChoropleth
+   */
+  getBivariateName () {
+    const second = this.getBivariate().second;
+    return typeof second === 'string' ? second : second.dataColName;
+  }
+
+  /**
+   * This function returns the value of a region being shown, in the year
+   * being shown in the time mode.
+   *
+   * @param {string|number} fips FIPS code of the region
+   * @returns {number} the value, or undefined if the region has no data
+   * @memberof USChoropleth
+   */
+  getRegionValue (fips) {
+    if (!this.renderData) {
+      throw new Error('The map must be rendered before its values are read');
+    }
+    const data = this.renderData;
+    const frame = data.frames[this.timeState ? this.timeState.index : data.frameIndex];
+    return frame.column.get(data.statisLevel.func(normalizeFips(fips)));
+  }
+
+  /**
+   * This function formats a value by the format of the tooltip, see
+   * setTooltip. This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {number} value the value
+   * @returns {string} the formatted value, or "No data" if it is missing
+   * @memberof USChoropleth
+   */
+  formatValue (value) {
+    return isMissing(value) ? 'No data' : d3.format(this.valueFormat)(value);
+  }
+
+  /**
+   * This function returns the text read out by the screen readers for a
+   * region, its name and its formatted value, e.g. "Autauga County, AL:
+   * 5.1". This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} d geographical feature of the region
+   * @returns {string} the label of the region
+   * @memberof USChoropleth
+   */
+  getAccessibleLabel (d) {
+    return `${getRegionLabel(d)}: ${this.formatValue(this.getRegionValue(d.id))}`;
+  }
+
+  /**
+   * This function returns the tooltip context of a region in the year
+   * being shown, see setTooltip. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @param {object} d geographical feature of the region
+   * @returns {object} the tooltip context
+   * @memberof USChoropleth
+   */
+  getTooltipContext (d) {
+    const data = this.renderData;
+    const frame = data.frames[this.timeState ? this.timeState.index : data.frameIndex];
+    const key = data.statisLevel.func(d.id);
+    const value = frame.column.get(key);
+    const format = value => this.formatValue(value);
+    const context = {
+      name: d.properties.name,
+      fips: d.id,
+      value: value,
+      formattedValue: format(value),
+      colName: frame.colName,
+      year: frame.year,
+      row: data.rows.get(key) || {},
+      count: frame.counts && (frame.counts.get(key) || 0)
+    };
+
+    /** Rank the regions being shown from the highest value */
+    if (value !== undefined && !isNaN(value)) {
+      if (!frame.sorted) {
+        frame.sorted = frame.usRegionVal
+          .filter(value => value !== undefined && !isNaN(value))
+          .sort((a, b) => a - b);
+      }
+      const below = d3.bisectRight(frame.sorted, value);
+      context.total = frame.sorted.length;
+      context.rank = context.total - below + 1;
+      context.rankText = `${ordinal(context.rank)} of ${context.total}`;
+      context.percentile = (below / context.total) * 100;
+    }
+
+    if (frame.national !== undefined && !isNaN(frame.national)) {
+      context.national = frame.national;
+      if (value !== undefined && !isNaN(value)) {
+        context.difference = value - frame.national;
+        context.formattedDifference =
+          (context.difference > 0 ? '+' : '') + format(context.difference);
+      }
+    }
+
+    if (data.baseColumn) {
+      context.baseValue = data.baseColumn.get(key);
+      context.formattedBaseValue = format(context.baseValue);
+      context.onlyIn = frame.onlyIn.get(key);
+    }
+
+    if (data.bivariateColumn) {
+      context.secondName = this.getBivariateName();
+      context.secondValue = data.bivariateColumn.get(key);
+      context.formattedSecondValue = format(context.secondValue);
+    }
+    return context;
+  }
+
+  /**
+   * This function shows the tooltip of a region next to the cursor, or at
+   * the given position of the page. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @param {object} d geographical feature of the region
+   * @param {Array} [position] the [x, y] position of the page
+   * @memberof USChoropleth
+   */
+  showTooltip (d, position = [d3.event.pageX, d3.event.pageY]) {
+    const formatter = this.getTooltip();
+    const context = this.getTooltipContext(d);
+    this.tooltip
+      .html(
+        typeof formatter === 'function'
+          ? formatter(context)
+          : fillTemplate(formatter, context)
+      )
+      .style('display', 'block')
+      .style('left', `${position[0] + 12}px`)
+      .style('top', `${position[1] + 12}px`);
+  }
+
+  /**
+   * This function shows the tooltip of a region at its centre on the page.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} d geographical feature of the region
+   * @memberof USChoropleth
+   */
+  pinTooltip (d) {
+    const transform = d3.zoomTransform(this.svg.node());
+    const point = this.svg.node().createSVGPoint();
+    [point.x, point.y] = transform.apply(d3.geoPath().centroid(d));
+    const { x, y } = point.matrixTransform(this.svg.node().getScreenCTM());
+    this.showTooltip(d, [x + window.pageXOffset, y + window.pageYOffset]);
+  }
+
+  /**
+   * This function hides the tooltip, or moves it back to the pinned region.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  hideTooltip () {
+    if (this.pinned) {
+      this.pinTooltip(this.pinned);
+    } else {
+      this.tooltip.style('display', 'none');
+    }
+  }
+
+  /**
+   * This function returns the order the regions are visited by Tab, see
+   * getNavigation. This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @returns {Array} the GeoJSON features in the Tab order
+   * @memberof USChoropleth
+   */
+  getTabOrder () {
+    const { features, geometries } = this.renderData;
+    return getNavigation(features, geometries).order.map(i => features[i]);
+  }
+
+  /**
+   * This function moves the keyboard focus to a region. Its tooltip is
+   * shown at its centre, and the map is panned if the region is out of
+   * sight. The "regionhover" event is fired as for the cursor. This
+   * function does not need to be accessed by users useless there is a
+   * special purpose
+   *
+   * @param {object} d geographical feature of the region
+   * @memberof USChoropleth
+   */
+  moveFocus (d) {
+    this.focusedRegion = d;
+    this.movingFocus = true;
+    this.regions.focus(d);
+    this.movingFocus = false;
+    this.pinTooltip(d);
+
+    const centroid = d3.geoPath().centroid(d);
+    const [x, y] = d3.zoomTransform(this.svg.node()).apply(centroid);
+    const [x0, y0, width, height] = this.getViewBox();
+    if (x < x0 || x > x0 + width || y < y0 || y > y0 + height) {
+      this.svg
+        .transition()
+        .duration(250)
+        .call(this.zoom.translateTo, centroid[0], centroid[1]);
+    }
+    this.dispatch.call('regionhover', this, this.getTooltipContext(d));
+  }
+
+  /**
+   * This function handles the keys pressed on the focused region:
+   *
+   * <br> <br> arrow keys -- move to the neighbouring region in that direction
+   * <br> Tab and Shift+Tab -- move to the next or the previous region, see
+   * getNavigation, and leave the map after the last one
+   * <br> Shift+arrow keys -- pan the map
+   * <br> "+" and "-" -- zoom the map in and out
+   * <br> "0" -- reset the zoom
+   * <br> Enter and Space -- select the region as a Shift+click does
+   * <br> Escape -- leave the map for the search box.
+   *
+   * <br> <br> This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} event the keyboard event
+   * @memberof USChoropleth
+   */
+  handleKeyDown (event) {
+    const d = this.focusedRegion;
+    if (!d || event.altKey || event.ctrlKey || event.metaKey) return;
+    const { features, geometries } = this.renderData;
+    const navigation = getNavigation(features, geometries);
+    const index = features.indexOf(d);
+    const direction = ARROW_DIRECTIONS[event.key];
+    const k = d3.zoomTransform(this.svg.node()).k;
+
+    if (direction && event.shiftKey) {
+      this.svg
+        .transition()
+        .duration(250)
+        .call(
+          this.zoom.translateBy,
+          (-direction[0] * KEYBOARD_PAN_STEP) / k,
+          (-direction[1] * KEYBOARD_PAN_STEP) / k
+        );
+    } else if (direction) {
+      const neighbor = findNeighbor(navigation, index, direction);
+      if (neighbor !== -1) this.moveFocus(features[neighbor]);
+    } else if (event.key === 'Tab') {
+      const position = navigation.order.indexOf(index) + (event.shiftKey ? -1 : 1);
+      /** Let the focus leave the map from the first and the last regions */
+      if (position < 0 || position >= features.length) return;
+      this.moveFocus(features[navigation.order[position]]);
+    } else if (event.key === '+' || event.key === '=') {
+      this.svg.transition().duration(250).call(this.zoom.scaleBy, KEYBOARD_ZOOM_FACTOR);
+    } else if (event.key === '-' || event.key === '_') {
+      this.svg.transition().duration(250).call(this.zoom.scaleBy, 1 / KEYBOARD_ZOOM_FACTOR);
+    } else if (event.key === '0') {
+      this.resetZoom(250);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      this.toggleSelection(d.id);
+      this.dispatch.call('regionclick', this, this.getTooltipContext(d));
+    } else if (event.key === 'Escape') {
+      const search = d3.select(`#${this.getElementId('search')} input`);
+      if (search.empty()) {
+        event.target.blur();
+      } else {
+        search.node().focus();
+      }
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  /**
+   * This function shows the frame of the given index on the rendered map
+   * by transitioning the fill colours of the existing regions.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {number} index index of the frame
+   * @memberof USChoropleth
+   */
+  showFrame (index) {
+    const state = this.timeState;
+    const frame = state.frames[index];
+    state.index = index;
+
+    /** The frames are loaded already, so the data is not marked to be joined again */
+    this.dataColName = frame.colName;
+    this.renderData.frameIndex = index;
+
+    this.regions.fill(state.fill(frame), this.getTimeInterval() * 0.75);
+    this.regions.label(d => this.getAccessibleLabel(d));
+    this.regions.dim(this.isDimmed());
+    this.fillDataTable();
+    if (this.histogram) {
+      this.fillHistogram();
+    }
+    this.fillLabels();
+
+    /** The class counts in the legend change from year to year */
+    if (this.getClassification() && !this.getBivariate()) {
+      this.drawLegend(state.legend, state.colorScale, frame.usRegionVal);
+    }
+    this.drawMissingLegend(
+      state.missingLegend,
+      state.missingFill,
+      state.missingCount(frame),
+      state.oneSource(frame)
+    );
+    this.placeLegends();
+
+    state.control.select('input').property('value', index);
+    state.control.select('span').text(frame.year);
+  }
+
+  /**
+   * This function inserts a control element above the svg. The control
+   * elements are removed before each rendering. This function does not need
+   * to be accessed by users useless there is a special purpose
+   *
+   * @param {object} svg d3 selection of the svg
+   * @param {string} name name of the control, used in its id
+   * @returns {object} d3 selection of the control element
+   * @memberof USChoropleth
+   */
+  insertControl (svg, name) {
+    const control = d3
+      .select(svg.node().parentNode)
+      .insert('div', () => svg.node())
+      .attr('id', this.getElementId(name));
+    this.controls.push(control);
+    return control;
+  }
+
+  /**
+   * This function removes the control elements inserted above the svg.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  removeControls () {
+    this.controls.forEach(control => control.remove());
+    this.controls = [];
+    this.histogram = undefined;
+  }
+
+  /**
+   * This function draws the breadcrumb of the state being drilled down
+   * into, e.g. "United States › Texas". Clicking "United States" goes back
+   * to the whole country. This function does not need to be accessed by
+   * users useless there is a special purpose
+   *
+   * @param {object} svg d3 selection of the svg
+   * @memberof USChoropleth
+   */
+  drawBreadcrumb (svg) {
+    const breadcrumb = this.insertControl(svg, 'breadcrumb');
+    breadcrumb
+      .append('a')
+      .attr('href', '#')
+      .text('United States')
+      .on('click', () => {
+        d3.event.preventDefault();
+        this.drillUp().catch(() => {});
+      });
+    breadcrumb.append('span').text(` › ${this.getDrillState().name}`);
+  }
+
+  /**
+   * This function draws the search box of the regions above the map. The
+   * names of the regions being shown are suggested while typing, and a FIPS
+   * code could be typed as well. The region found is focused, see focusRegion.
+   * The search box is kept through the renderings, so that the typed text
+   * is not lost, and only its suggestions are refreshed.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @param {object} svg d3 selection of the svg
+   * @memberof USChoropleth
+   */
+  drawSearch (svg) {
+    const listId = this.getElementId('searchList');
+    if (!this.search) {
+      /** It is not one of the controls removed before each rendering */
+      this.search = d3
+        .select(svg.node().parentNode)
+        .insert('div', () => svg.node())
+        .attr('id', this.getElementId('search'));
+      this.search
+        .append('input')
+        .attr('type', 'search')
+        .attr('placeholder', 'Search a region or FIPS code')
+        .attr('list', listId)
+        .on('change', () => {
+          const input = d3.event.target;
+          if (!input.value.trim()) return;
+          const d = this.findRegion(input.value);
+          input.setCustomValidity(d ? '' : 'No region found');
+          input.reportValidity();
+          if (d) {
+            this.focusRegion(d.id);
+          }
+        });
+      this.search.append('datalist').attr('id', listId);
+    }
+    this.search
+      .select('datalist')
+      .selectAll('option')
+      .data(this.renderData.features.map(getRegionLabel).sort(d3.ascending))
+      .join('option')
+      .attr('value', label => label);
+  }
+
+  /**
+   * This function inserts the table of the values of the regions above the
+   * map. The table is hidden from the screen but read out by the screen
+   * readers as an alternative to the map. This function does not need to
+   * be accessed by users useless there is a special purpose
+   *
+   * @param {object} svg d3 selection of the svg
+   * @memberof USChoropleth
+   */
+  drawDataTable (svg) {
+    this.dataTable = this.insertControl(svg, 'dataTable');
+    Object.keys(VISUALLY_HIDDEN_STYLES).forEach(name => {
+      this.dataTable.style(name, VISUALLY_HIDDEN_STYLES[name]);
+    });
+    this.fillDataTable();
+  }
+
+  /**
+   * This function fills the hidden table with the values being shown.
+   * This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  fillDataTable () {
+    const data = this.renderData;
+    const frame = data.frames[this.timeState ? this.timeState.index : data.frameIndex];
+    const expression = this.getValueExpression();
+    const columns = [
+      { name: 'Region', value: d => getRegionLabel(d) },
+      {
+        name: expression ? expression.formula : frame.colName,
+        value: d => this.formatValue(this.getRegionValue(d.id))
+      }
+    ];
+    if (data.bivariateColumn) {
+      columns.push({
+        name: this.getBivariateName(),
+        value: d => this.formatValue(data.bivariateColumn.get(data.statisLevel.func(d.id)))
+      });
+    }
+
+    this.dataTable.selectAll('*').remove();
+    const table = this.dataTable.append('table');
+    table
+      .append('caption')
+      .text(frame.year === undefined ? this.getTitle() : `${this.getTitle()} (${frame.year})`);
+    table
+      .append('thead')
+      .append('tr')
+      .selectAll('th')
+      .data(columns)
+      .join('th')
+      .attr('scope', 'col')
+      .text(column => column.name);
+    table
+      .append('tbody')
+      .selectAll('tr')
+      .data(data.features.slice().sort((a, b) => d3.ascending(getRegionLabel(a), getRegionLabel(b))))
+      .join('tr')
+      .selectAll('td')
+      .data(d => columns.map(column => column.value(d)))
+      .join('td')
+      .text(value => value);
+  }
+
+  /**
+   * This function draws the histogram of the values above the map, see
+   * setHistogram. The bins are the same in every year of the time mode.
+   * This function does not need to be accessed by users useless there is a
+   * special purpose
+   *
+   * @param {object} svg d3 selection of the svg
+   * @param {Function} [colorScale] colour scale of the map, the bars are grey without it
+   * @memberof USChoropleth
+   */
+  drawHistogram (svg, colorScale) {
+    const data = this.renderData;
+    const values = data.usRegionVal.filter(value => !isMissing(value));
+    if (!values.length) return;
+    const width = 320;
+    const height = 120;
+    const margin = { top: 10, right: 10, bottom: 20, left: 10 };
+
+    const x = d3
+      .scaleLinear()
+      .domain(d3.extent(values))
+      .nice()
+      .range([margin.left, width - margin.right])
+      .clamp(true);
+    const bin = d3
+      .histogram()
+      .domain(x.domain())
+      .thresholds(x.ticks(20));
+    const y = d3
+      .scaleLinear()
+      .domain([
+        0,
+        d3.max(data.frames, frame =>
+          d3.max(bin(frame.usRegionVal.filter(value => !isMissing(value))), bar => bar.length)
+        )
+      ])
+      .range([height - margin.bottom, margin.top]);
+
+    const chart = this.insertControl(svg, 'histogram')
+      .append('svg')
+      .attr('viewBox', [0, 0, width, height])
+      .attr('width', width)
+      .attr('height', height)
+      .attr('font-family', 'sans-serif')
+      .attr('font-size', 10)
+      .attr('role', 'img')
+      .attr('aria-label', `Histogram of ${this.getTitle()}`);
+    const bars = chart.append('g');
+    chart
+      .append('g')
+      .attr('transform', `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(5, '.2s'));
+
+    const brush = d3
+      .brushX()
+      .touchable(isTouchable)
+      .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+      .on('brush end', () => {
+        /** The brush moved by setBrushRange is handled there */
+        if (!d3.event.sourceEvent) return;
+        const selection = d3.event.selection;
+        this.brushRange = selection ? selection.map(x.invert) : undefined;
+        this.filterRegions();
+        if (d3.event.type === 'end') {
+          this.writeHash();
+        }
+      });
+    const brushGroup = chart.append('g').call(brush);
+    const range = this.getBrushRange();
+    brushGroup.call(brush.move, range ? range.map(x) : null);
+
+    this.histogram = {
+      x: x,
+      bin: bin,
+      y: y,
+      bars: bars,
+      brush: brush,
+      brushGroup: brushGroup,
+      colorScale: colorScale
+    };
+    this.fillHistogram();
+  }
+
+  /**
+   * This function draws the bars of the histogram with the values being
+   * shown. This function does not need to be accessed by users useless
+   * there is a special purpose
+   *
+   * @memberof USChoropleth
+   */
+  fillHistogram () {
+    const data = this.renderData;
+    const frame = data.frames[this.timeState ? this.timeState.index : data.frameIndex];
+    const { x, bin, y, bars, colorScale } = this.histogram;
+    bars
+      .selectAll('rect')
+      .data(bin(frame.usRegionVal.filter(value => !isMissing(value))))
+      .join('rect')
+      .attr('x', bar => x(bar.x0) + 0.5)
+      .attr('width', bar => Math.max(0, x(bar.x1) - x(bar.x0) - 1))
+      .attr('y', bar => y(bar.length))
+      .attr('height', bar => y(0) - y(bar.length))
+      .attr('fill', bar => (colorScale ? colorScale((bar.x0 + bar.x1) / 2) : '#888'));
+  }
+
+  /**
+   * This function outlines the bin of the histogram holding the value, or
+   * removes the outline if no value is given. This function does not need
+   * to be accessed by users useless there is a special purpose
+   *
+   * @param {number} [value] the value of the region under the cursor
+   * @memberof USChoropleth
+   */
+  markBin (value) {
+    if (!this.histogram) return;
+    const max = this.histogram.x.domain()[1];
+
+    /** The last bin holds the maximum as well */
+    const holds = bar =>
+      !isMissing(value) &&
+      value >= bar.x0 &&
+      (value < bar.x1 || (value === max && bar.x1 === max));
+    this.histogram.bars
+      .selectAll('rect')
+      .attr('stroke', bar => (holds(bar) ? 'black' : null))
+      .attr('stroke-width', bar => (holds(bar) ? 1.5 : null));
+  }
+
+  /**
+   * This function draws the play/pause button and the slider of
+   * the time mode above the map. This function does not need to be
+   * accessed by users useless there is a special purpose
+   *
+   * @param {object} svg d3 selection of the svg
+   * @memberof USChoropleth
+   */
+  drawTimeControl (svg) {
+    const state = this.timeState;
+    const control = this.insertControl(svg, 'timeControl');
+    state.control = control;
+
+    control
+      .append('button')
+      .text('play')
+      .on('click', () => (state.timer ? this.pause() : this.play()));
+
+    control
+      .append('input')
+      .attr('type', 'range')
+      .attr('min', 0)
+      .attr('max', state.frames.length - 1)
+      .attr('step', 1)
+      .property('value', state.index)
+      .on('input', () => {
+        this.pause();
+        this.showFrame(parseInt(d3.event.target.value));
+      });
+
+    control
+      .append('span')
+      .text(state.frames[state.index].year);
+  }
+}
+
+export default USChoropleth;
@@ -0,0 +1,261 @@
+import * as d3 from 'd3';
+
+/**
+ * The modes of the comparison, see setMode.
+ */
+const MODES = ['sideBySide', 'absolute', 'percent'];
+
+let comparisonCount = 0;
+
+class USComparison {
+  /**
+   * The class that compares two maps, e.g. two years or two datasets. The
+   * maps are shown side by side with the same colour domain, and the zoom
+   * and the region under the cursor of one map are followed by the other.
+   * A state drilled down into on one map is drilled down into on the other
+   * map as well. In the difference modes, the change from the first map to
+   * the second one is shown on one map instead. The maps keep their own settings, e.g.
+   * their colours, so they are set on the USChoropleth instances.
+   *
+   * @constructor
+   * @param {USChoropleth} first - The map of the base source, shown on the left
+   * @param {USChoropleth} second - The map compared with the base, shown on the right
+   */
+  constructor (first, second) {
+    this.first = first;
+    this.second = second;
+    this.mode = 'sideBySide';
+    this.id = `USComparison-${++comparisonCount}`;
+    this.container = undefined;
+    this.panels = undefined;
+    this.linking = false;
+    this.domains = undefined;
+    this.link(first, second);
+    this.link(second, first);
+  }
+
+  /**
+   * This function makes the other map follow the zoom, the region under
+   * the cursor and the state drilled down into of the map. This function
+   * does not need to be accessed by users useless there is a special purpose
+   *
+   * @param {USChoropleth} map the map followed
+   * @param {USChoropleth} other the map following it
+   * @memberof USComparison
+   */
+  link (map, other) {
+    map
+      .on('zoom.comparison', transform => {
+        /** The zoom applied to the other map fires its own zoom event */
+        if (this.linking || this.mode !== 'sideBySide') return;
+        this.linking = true;
+        other.applyConfig({ zoom: { x: transform.x, y: transform.y, k: transform.k } });
+        this.linking = false;
+      })
+      .on('regionhover.comparison', context => {
+        if (this.mode !== 'sideBySide') return;
+        other.hoverRegion(context ? context.fips : undefined);
+      })
+      .on('drilldown.comparison', state => {
+        /** The drilldown event of the other map finds this map drilled down already */
+        const otherState = other.getDrillState();
+        if (this.mode !== 'sideBySide' || (otherState && otherState.fips === state.fips)) return;
+        other.drillDown(state.fips).catch(() => {});
+      })
+      .on('drillup.comparison', () => {
+        if (this.mode !== 'sideBySide' || !other.getDrillState()) return;
+        other.drillUp().catch(() => {});
+      });
+  }
+
+  /**
+   * This function mounts the maps side by side into a new element appended
+   * to the given element.
+   *
+   * @param {string|object} element a css selector or a DOM element
+   * @memberof USComparison
+   */
+  mount (element) {
+    this.unmount();
+    const target = d3.select(element);
+    if (target.empty()) {
+      throw new Error(`No element found to mount the comparison into: ${element}`);
+    }
+
+    this.container = target
+      .append('div')
+      .attr('id', this.id)
+      .style('display', 'flex');
+    this.panels = [this.first, this.second].map(map => {
+      const panel = this.container
+        .append('div')
+        .style('flex', '1 1 0')
+        .style('min-width', 0);
+      map.mount(panel.node());
+      return panel;
+    });
+  }
+
+  /**
+   * This function removes the maps from the page. They could be mounted
+   * again afterwards.
+   *
+   * @memberof USComparison
+   */
+  unmount () {
+    if (!this.container) return;
+    this.first.unmount();
+    this.second.unmount();
+    this.container.remove();
+    this.container = undefined;
+    this.panels = undefined;
+  }
+
+  /**
+   * This function removes the maps from the page and stops linking them.
+   *
+   * @memberof USComparison
+   */
+  destroy () {
+    this.restoreDomains();
+    [this.first, this.second].forEach(map => {
+      map
+        .on('zoom.comparison', null)
+        .on('regionhover.comparison', null)
+        .on('drilldown.comparison', null)
+        .on('drillup.comparison', null);
+      map.destroy();
+    });
+    this.unmount();
+  }
+
+  /**
+   * This function sets the mode of the comparison. Allowed modes are:
+   *
+   * <br> <br> "sideBySide" -- the two maps side by side
+   * <br> "absolute" -- the second map shows its values minus those of the first map
+   * <br> "percent" -- the second map shows the change in percent of the first map.
+   *
+   * <br> <br> The difference modes read the data column of the first map,
+   * see setDifference of USChoropleth. Changing the mode gives the maps
+   * back the colour domains they had before the comparison was rendered.
+   *
+   * @param {string} mode the mode of the comparison
+   * @memberof USComparison
+   */
+  setMode (mode) {
+    if (MODES.indexOf(mode) === -1) {
+      throw new Error(`Unknown comparison mode: ${mode}`);
+    }
+    if (mode !== this.mode) {
+      this.restoreDomains();
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * This function keeps the colour domains set on the maps before the
+   * comparison overwrites them. This function does not need to be accessed
+   * by users useless there is a special purpose
+   *
+   * @memberof USComparison
+   */
+  saveDomains () {
+    if (this.domains) return;
+    this.domains = [this.first.getDomain(), this.second.getDomain()];
+  }
+
+  /**
+   * This function gives the maps back the colour domains kept by
+   * saveDomains. This function does not need to be accessed by users
+   * useless there is a special purpose
+   *
+   * @memberof USComparison
+   */
+  restoreDomains () {
+    if (!this.domains) return;
+    this.first.setDomain(this.domains[0]);
+    this.second.setDomain(this.domains[1]);
+    this.domains = undefined;
+  }
+
+  /**
+   * This function returns the mode of the comparison.
+   *
+   * @returns {string} the mode of the comparison
+   * @memberof USComparison
+   */
+  getMode () {
+    return this.mode;
+  }
+
+  /**
+   * This function returns the data column of the first map as the base of
+   * the difference modes, see setDifference of USChoropleth. This function
+   * does not need to be accessed by users useless there is a special purpose
+   *
+   * @returns {object} the {fileUrl, indexColName, dataColName, joinKey, stateColName} column
+   * @memberof USComparison
+   */
+  getBase () {
+    const joinKey = this.first.getJoinKey();
+    return {
+      fileUrl: this.first.getFileUrl(),
+      indexColName: this.first.getIndexColName(),
+      dataColName: this.first.getDataColName(),
+      joinKey: joinKey.type,
+      stateColName: joinKey.stateColName
+    };
+  }
+
+  /**
+   * This function loads the data of the map, dispatching the errors as the
+   * "dataerror" events of the map as its render does. This function does
+   * not need to be accessed by users useless there is a special purpose
+   *
+   * @param {USChoropleth} map the map loaded
+   * @returns {object} the geographical data of the map within a promise object
+   * @memberof USComparison
+   */
+  load (map) {
+    return map.getJson().catch(error => {
+      map.dispatch.call('dataerror', map, error);
+      throw error;
+    });
+  }
+
+  /**
+   * This function renders the comparison and returns a promise object
+   * resolved once the maps are rendered. Side by side, the colour domain
+   * of both maps covers the values of both. The domains set on the maps
+   * are restored by setMode and destroy.
+   *
+   * @returns {object} a promise object
+   * @memberof USComparison
+   */
+  execute () {
+    if (!this.container) {
+      this.mount('#USComparison');
+    }
+    const difference = this.mode !== 'sideBySide';
+    this.panels[0].style('display', difference ? 'none' : null);
+    this.saveDomains();
+    if (difference) {
+      this.second.setDifference(this.getBase(), this.mode);
+      this.second.setDomain();
+      return this.second.render();
+    }
+
+    this.second.setDifference();
+    return Promise.all([this.first, this.second].map(map => this.load(map))).then(
+      ([first, second]) => {
+        const domain = d3.extent(first.usRegionVal.concat(second.usRegionVal));
+        this.first.setDomain(domain);
+        this.second.setDomain(domain);
+        return Promise.all([this.first.render(), this.second.render()]);
+      }
+    );
+  }
+}
+
+export default USComparison;
@@ -0,0 +1,84 @@
+import * as d3 from 'd3';
+
+/**
+ * The roll-up methods supported by aggregateCounties. Each one takes the
+ * list of county values of a state (and their weights for "weightedMean")
+ * and returns the value of the state.
+ */
+const methods = {
+  sum: values => d3.sum(values),
+  mean: values => d3.mean(values),
+  median: values => d3.median(values),
+  min: values => d3.min(values),
+  max: values => d3.max(values),
+  weightedMean: (values, weights) => {
+    const total = d3.sum(weights);
+    return total
+      ? d3.sum(values, (value, i) => value * weights[i]) / total
+      : undefined;
+  }
+};
+
+/**
+ * This function checks whether the name is a supported roll-up method.
+ *
+ * @param {string} method name of the roll-up method
+ * @returns {boolean} true if the method is supported
+ */
+export function isAggregationMethod (method) {
+  return Object.prototype.hasOwnProperty.call(methods, method);
+}
+
+/**
+ * This function rolls the county values up to the state level. The state
+ * values are keyed at stateFIPS * 1000, the same way the state rows are
+ * keyed in a dataset that has them. State rows and missing values
+ * in the county map are ignored.
+ *
+ * @param {Map} column county FIPS -> value map
+ * @param {string} method roll-up method, see isAggregationMethod
+ * @param {Map} [weights] county FIPS -> weight map, required by "weightedMean"
+ * @returns {object} {values, counts} where values maps each state to its value
+ * and counts maps each state to the number of counties that went into it
+ */
+export function aggregateCounties (column, method, weights) {
+  const groups = new Map();
+  column.forEach((value, fips) => {
+    if (fips % 1000 === 0 || value === undefined || isNaN(value)) return;
+    let weight;
+    if (method === 'weightedMean') {
+      weight = weights && weights.get(fips);
+      if (weight === undefined || isNaN(weight)) return;
+    }
+    const state = Math.floor(fips / 1000) * 1000;
+    if (!groups.has(state)) groups.set(state, { values: [], weights: [] });
+    groups.get(state).values.push(value);
+    groups.get(state).weights.push(weight);
+  });
+
+  const values = new Map();
+  const counts = new Map();
+  groups.forEach((group, state) => {
+    values.set(state, methods[method](group.values, group.weights));
+    counts.set(state, group.values.length);
+  });
+  return { values: values, counts: counts };
+}
+
+/**
+ * This function returns the mean of the state values of the column, used as
+ * the national value of the datasets without a national row. The mean of
+ * the county values is returned if the column has no state rows.
+ *
+ * @param {Map} column FIPS -> value map, the states keyed at stateFIPS * 1000
+ * @returns {number} the mean, or undefined if the column has no values
+ */
+export function getNationalMean (column) {
+  const states = [];
+  const counties = [];
+  column.forEach((value, fips) => {
+    if (fips === 0 || value === undefined || value === null || isNaN(value)) return;
+    (fips % 1000 === 0 ? states : counties).push(value);
+  });
+  return d3.mean(states.length ? states : counties);
+}
@@ -0,0 +1,68 @@
+import * as d3 from 'd3';
+
+/**
+ * The 3x3 bivariate palette by Joshua Stevens. The colours are listed row by
+ * row from the lowest class of the second variable, each row going from the
+ * lowest to the highest class of the first variable.
+ */
+const STEVENS_PALETTE = [
+  '#e8e8e8', '#e4acac', '#c85a5a',
+  '#b0d5df', '#ad9ea5', '#985356',
+  '#64acbe', '#627f8c', '#574249'
+];
+
+/**
+ * This function returns the n x n bivariate palette. The 3x3 palette by
+ * Joshua Stevens is used for n = 3, other sizes are interpolated between
+ * its four corner colours.
+ *
+ * @param {number} n number of classes of each variable
+ * @returns {Array} n * n css colours listed row by row
+ */
+export function getBivariatePalette (n) {
+  if (n === 3) {
+    return STEVENS_PALETTE;
+  }
+  const bottom = d3.interpolateRgb(STEVENS_PALETTE[0], STEVENS_PALETTE[2]);
+  const top = d3.interpolateRgb(STEVENS_PALETTE[6], STEVENS_PALETTE[8]);
+  const palette = [];
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      const t = i / (n - 1);
+      palette.push(d3.interpolateRgb(bottom(t), top(t))(j / (n - 1)));
+    }
+  }
+  return palette;
+}
+
+/**
+ * This function returns a bivariate colour scale. Each variable is binned
+ * into n quantile classes and the pair of classes picks a colour of the
+ * palette. The scale returns undefined if either of the values is missing.
+ *
+ * @param {Array} xValues values of the first variable
+ * @param {Array} yValues values of the second variable
+ * @param {number} n number of classes of each variable
+ * @param {Array} [palette] n * n css colours listed row by row
+ * @returns {Function} (x, y) -> css colour, with the n, palette, x and y
+ * (the quantile scales of the two variables) properties
+ */
+export function bivariateScale (xValues, yValues, n, palette) {
+  palette = palette || getBivariatePalette(n);
+  if (palette.length !== n * n) {
+    throw new Error(`A ${n}x${n} bivariate palette needs ${n * n} colours`);
+  }
+  const isValue = value => value !== undefined && value !== null && !isNaN(value);
+  const x = d3.scaleQuantile().domain(xValues.filter(isValue)).range(d3.range(n));
+  const y = d3.scaleQuantile().domain(yValues.filter(isValue)).range(d3.range(n));
+
+  const scale = (xValue, yValue) => {
+    if (!isValue(xValue) || !isValue(yValue)) return undefined;
+    return palette[y(yValue) * n + x(xValue)];
+  };
+  scale.n = n;
+  scale.palette = palette;
+  scale.x = x;
+  scale.y = y;
+  return scale;
+}
@@ -0,0 +1,188 @@
+import * as d3 from 'd3';
+
+/**
+ * The largest number of values the Jenks natural breaks are computed on.
+ * Larger inputs are evenly sampled from the sorted values first, as the
+ * algorithm is quadratic in the number of values.
+ */
+const JENKS_SAMPLE_SIZE = 3000;
+
+/**
+ * The classification methods supported by getBreaks. Each one takes the
+ * sorted values and the number of classes and returns the thresholds
+ * between the classes.
+ */
+const methods = {
+  quantile: (values, classes) =>
+    d3.range(1, classes).map(i => d3.quantile(values, i / classes)),
+  equalInterval: (values, classes) => {
+    const min = values[0];
+    const step = (values[values.length - 1] - min) / classes;
+    return d3.range(1, classes).map(i => min + i * step);
+  },
+  jenks: (values, classes) => jenksBreaks(values, classes),
+  stddev: (values, classes) => {
+    const mean = d3.mean(values);
+    const deviation = d3.deviation(values) || 0;
+    return d3
+      .range(1, classes)
+      .map(i => mean + (i - classes / 2) * deviation);
+  }
+};
+
+/**
+ * This function computes the Fisher-Jenks natural breaks, which minimise
+ * the variance within each class.
+ *
+ * @param {Array} values sorted numerical values
+ * @param {number} classes number of classes
+ * @returns {Array} the thresholds between the classes
+ */
+function jenksBreaks (values, classes) {
+  if (values.length > JENKS_SAMPLE_SIZE) {
+    values = d3
+      .range(JENKS_SAMPLE_SIZE)
+      .map(i => values[Math.round((i * (values.length - 1)) / (JENKS_SAMPLE_SIZE - 1))]);
+  }
+  const n = values.length;
+  if (n <= classes) {
+    return values.slice(1);
+  }
+
+  /** lower[l][j] is the index (1-based) of the first value of the last class
+   * when the first l values are split into j classes */
+  const lower = d3.range(n + 1).map(() => new Uint32Array(classes + 1));
+  const variance = d3.range(n + 1).map(() => new Float64Array(classes + 1));
+  for (let j = 1; j <= classes; j++) {
+    lower[1][j] = 1;
+    for (let l = 2; l <= n; l++) {
+      variance[l][j] = Infinity;
+    }
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let v = 0;
+    for (let m = 1; m <= l; m++) {
+      const first = l - m + 1;
+      const value = values[first - 1];
+      sum += value;
+      sumSquares += value * value;
+      v = sumSquares - (sum * sum) / m;
+      if (first > 1) {
+        for (let j = 2; j <= classes; j++) {
+          if (variance[l][j] >= v + variance[first - 1][j - 1]) {
+            lower[l][j] = first;
+            variance[l][j] = v + variance[first - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = [];
+  let last = n;
+  for (let j = classes; j >= 2; j--) {
+    const first = lower[last][j];
+    breaks.unshift(values[first - 1]);
+    last = first - 1;
+  }
+  return breaks;
+}
+
+/**
+ * This function checks whether the name is a supported classification method.
+ *
+ * @param {string} method name of the classification method
+ * @returns {boolean} true if the method is supported
+ */
+export function isClassificationMethod (method) {
+  return Object.prototype.hasOwnProperty.call(methods, method);
+}
+
+/**
+ * This function computes the thresholds between the classes of the values.
+ * Missing values are ignored. The method is either one of "quantile",
+ * "equalInterval", "jenks" and "stddev", or an array of user-supplied
+ * thresholds.
+ *
+ * @param {string|Array} method classification method or thresholds
+ * @param {Array} values numerical values to classify
+ * @param {number} classes number of classes
+ * @returns {Array} the thresholds between the classes in ascending order
+ */
+export function getBreaks (method, values, classes) {
+  if (Array.isArray(method)) {
+    return method.slice().sort((a, b) => a - b);
+  }
+  const sorted = values
+    .filter(value => value !== undefined && value !== null && !isNaN(value))
+    .sort((a, b) => a - b);
+  if (!sorted.length) {
+    return [];
+  }
+  return methods[method](sorted, classes);
+}
+
+/**
+ * This function returns n colours evenly sampled by the interpolator, the
+ * middle one if n is 1.
+ *
+ * @param {Function} interpolator function of [0, 1] returning a colour
+ * @param {number} n number of colours
+ * @returns {Array} a list of css colours
+ */
+function sample (interpolator, n) {
+  return n === 1 ? [interpolator(0.5)] : d3.quantize(interpolator, n);
+}
+
+/**
+ * This function checks whether the colour scheme could colour the number of
+ * classes. A d3 ordinal scheme (e.g. d3.schemeBlues) only has the colours
+ * of some numbers of classes, e.g. 3 to 9.
+ *
+ * @param {Array|Function} scheme colour scheme
+ * @param {number} classes number of classes
+ * @returns {boolean} true if the scheme has colours for the classes
+ */
+export function hasSchemeColors (scheme, classes) {
+  return (
+    typeof scheme === 'function' ||
+    Array.isArray(scheme[classes]) ||
+    !scheme.some(Array.isArray)
+  );
+}
+
+/**
+ * This function returns a list of colours, one for each class. The scheme
+ * is either a d3 ordinal scheme indexed by the number of colours
+ * (e.g. d3.schemeBlues), a list of colours, or a d3 colour interpolate function.
+ * An ordinal scheme without the colours of fewer classes, e.g. when the
+ * data has fewer distinct values than classes, is sampled from its next
+ * larger palette.
+ *
+ * @param {Array|Function} scheme colour scheme
+ * @param {number} classes number of classes
+ * @returns {Array} a list of css colours
+ */
+export function getSchemeColors (scheme, classes) {
+  if (typeof scheme === 'function') {
+    return sample(scheme, classes);
+  }
+  if (Array.isArray(scheme[classes])) {
+    return scheme[classes];
+  }
+  if (scheme.some(Array.isArray)) {
+    const larger = scheme.find((colors, n) => n > classes && Array.isArray(colors));
+    if (!larger) {
+      throw new Error(`The colour scheme has no ${classes} colours`);
+    }
+    return sample(t => larger[Math.round(t * (larger.length - 1))], classes);
+  }
+  return scheme.length === classes
+    ? scheme
+    : sample(d3.interpolateRgbBasis(scheme), classes);
+}
@@ -0,0 +1,53 @@
+/**
+ * The colour matrices simulating the colour vision deficiencies, applied
+ * to the linear rgb values. The matrices of the dichromacies are the
+ * severest ones of Machado, Oliveira and Fernandes (2009), and the
+ * achromatopsia keeps the luminance only.
+ */
+const SIMULATIONS = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039]
+  ],
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722]
+  ]
+};
+
+/**
+ * This function checks whether the name is a supported colour vision
+ * deficiency: "protanopia", "deuteranopia", "tritanopia" or "achromatopsia".
+ *
+ * @param {string} name name of the colour vision deficiency
+ * @returns {boolean} true if the colour vision deficiency is supported
+ */
+export function isColorBlindness (name) {
+  return Object.prototype.hasOwnProperty.call(SIMULATIONS, name);
+}
+
+/**
+ * This function returns the values of the svg feColorMatrix simulating a
+ * colour vision deficiency. The filter should use the default linearRGB
+ * colour-interpolation-filters.
+ *
+ * @param {string} name name of the colour vision deficiency
+ * @returns {string} the 4x5 matrix of the filter
+ */
+export function getColorMatrix (name) {
+  const rows = SIMULATIONS[name].map(row => row.concat([0, 0]));
+  rows.push([0, 0, 0, 1, 0]);
+  return rows.map(row => row.join(' ')).join(' ');
+}
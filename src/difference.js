@@ -0,0 +1,53 @@
+/**
+ * The modes of the difference maps supported by getDifference. Each one
+ * takes the value of a region and its value in the base source and
+ * returns the change from the base.
+ */
+const modes = {
+  absolute: (value, base) => value - base,
+  percent: (value, base) => (base ? ((value - base) / Math.abs(base)) * 100 : NaN)
+};
+
+/**
+ * This function checks whether the name is a supported difference mode,
+ * "absolute" or "percent".
+ *
+ * @param {string} mode name of the difference mode
+ * @returns {boolean} true if the mode is supported
+ */
+export function isDifferenceMode (mode) {
+  return Object.prototype.hasOwnProperty.call(modes, mode);
+}
+
+/**
+ * This function computes the change of each region from a base source,
+ * e.g. from the births of 2016 to those of 2017. The regions found in one
+ * source only have no change and are listed apart. The changes that could
+ * not be computed, e.g. a percent change from zero, are NaN.
+ *
+ * @param {Map} column index -> data map of the values
+ * @param {Map} base index -> data map of the base values
+ * @param {string} mode the difference mode, see isDifferenceMode
+ * @returns {object} {values, onlyIn} where values maps each region to its
+ * change, and onlyIn maps each region found in one source only to the
+ * source it is found in, "data" or "base"
+ */
+export function getDifference (column, base, mode) {
+  const values = new Map();
+  const onlyIn = new Map();
+  column.forEach((value, key) => {
+    if (base.has(key)) {
+      values.set(key, modes[mode](value, base.get(key)));
+    } else {
+      values.set(key, NaN);
+      onlyIn.set(key, 'data');
+    }
+  });
+  base.forEach((value, key) => {
+    if (!column.has(key)) {
+      values.set(key, NaN);
+      onlyIn.set(key, 'base');
+    }
+  });
+  return { values: values, onlyIn: onlyIn };
+}
@@ -0,0 +1,221 @@
+import * as d3 from 'd3';
+
+/**
+ * The arithmetic operators of the formulas, grouped by precedence from the
+ * lowest to the highest.
+ */
+const OPERATORS = [
+  { '+': (a, b) => a + b, '-': (a, b) => a - b },
+  { '*': (a, b) => a * b, '/': (a, b) => a / b }
+];
+
+/**
+ * The tokens of the formulas: numbers, column names (either a plain name
+ * such as POP_ESTIMATE_2016 or any name within brackets such as
+ * [Area name]), operators and parentheses.
+ */
+const TOKEN = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)|([A-Za-z_][\w.]*)|\[([^\]]+)\]|([-+*/()]))/iy;
+
+/**
+ * This function splits a formula into tokens.
+ *
+ * @param {string} formula the formula
+ * @returns {Array} a list of {type, value} tokens
+ */
+function tokenize (formula) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < formula.length && formula.slice(TOKEN.lastIndex).trim()) {
+    const position = TOKEN.lastIndex;
+    const match = TOKEN.exec(formula);
+    if (!match) {
+      throw new Error(
+        `Unexpected "${formula.slice(position).trim()[0]}" in the formula: ${formula}`
+      );
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ type: 'column', value: match[2] || match[3] });
+    } else {
+      tokens.push({ type: 'operator', value: match[4] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * This function parses a formula over the columns of a csv row, e.g.
+ * "Births_2016 / POP_ESTIMATE_2016 * 1000". Only numbers, column names, the
+ * four arithmetic operators and parentheses are allowed, the formula is
+ * never evaluated as javascript.
+ *
+ * @param {string} formula the formula
+ * @returns {object} {evaluate, columns} where evaluate maps a csv row to
+ * its value and columns lists the column names used by the formula
+ */
+export function parseFormula (formula) {
+  const tokens = tokenize(formula);
+  const columns = [];
+  let position = 0;
+
+  const unexpected = token => {
+    return new Error(
+      token
+        ? `Unexpected "${token.value}" in the formula: ${formula}`
+        : `Unexpected end of the formula: ${formula}`
+    );
+  };
+
+  /** A number, a column, a negated operand or a formula within parentheses */
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token) throw unexpected(token);
+    if (token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.type === 'column') {
+      if (columns.indexOf(token.value) === -1) columns.push(token.value);
+      return row => parseFloat(row[token.value]);
+    }
+    if (token.value === '-') {
+      const operand = parseOperand();
+      return row => -operand(row);
+    }
+    if (token.value === '(') {
+      const inner = parseLevel(0);
+      if (!tokens[position] || tokens[position].value !== ')') {
+        throw unexpected(tokens[position]);
+      }
+      position++;
+      return inner;
+    }
+    throw unexpected(token);
+  };
+
+  /** The operators of the same precedence are applied from left to right */
+  const parseLevel = level => {
+    if (level === OPERATORS.length) {
+      return parseOperand();
+    }
+    let left = parseLevel(level + 1);
+    while (
+      tokens[position] &&
+      tokens[position].type === 'operator' &&
+      Object.prototype.hasOwnProperty.call(OPERATORS[level], tokens[position].value)
+    ) {
+      const operate = OPERATORS[level][tokens[position++].value];
+      const a = left;
+      const b = parseLevel(level + 1);
+      left = row => operate(a(row), b(row));
+    }
+    return left;
+  };
+
+  const evaluate = parseLevel(0);
+  if (position < tokens.length) {
+    throw unexpected(tokens[position]);
+  }
+  return { evaluate: evaluate, columns: columns };
+}
+
+/**
+ * This function returns the expression of the percent change from one
+ * column to another, e.g. percentChange("POP_ESTIMATE_2010",
+ * "POP_ESTIMATE_2018"). It could be passed to setValueExpression.
+ *
+ * @param {string} from name of the column of the old values
+ * @param {string} to name of the column of the new values
+ * @returns {object} the expression
+ */
+export function percentChange (from, to) {
+  return { type: 'percentChange', from: from, to: to };
+}
+
+/**
+ * This function returns the expression of a column normalised by the
+ * population, e.g. perCapita("Births_2016", "POP_ESTIMATE_2016", 1000) for
+ * the births per 1,000 people. The population is either the name of a
+ * column of the same dataset, or an object {fileUrl, indexColName,
+ * dataColName} of a column of another csv file joined on the FIPS code.
+ * It could be passed to setValueExpression.
+ *
+ * @param {string} column name of the column to normalise
+ * @param {string|object} population the population column
+ * @param {number} [per = 1] the number of people the value is given per
+ * @returns {object} the expression
+ */
+export function perCapita (column, population, per = 1) {
+  return { type: 'perCapita', column: column, population: population, per: per };
+}
+
+/**
+ * This function compiles a value expression, which is either a formula
+ * (see parseFormula), a function over the csv row, or an expression
+ * returned by percentChange or perCapita. The values that are not finite,
+ * e.g. divided by zero, are treated as missing.
+ *
+ * @param {string|Function|object} expression the value expression
+ * @param {string} [label] the text shown in the legend and the tooltip,
+ * the formula by default
+ * @returns {object} {expression, label, formula, columns, join, evaluate}
+ * where formula is the text to show, columns lists the column names the
+ * expression needs, join is the {fileUrl, indexColName, dataColName} column
+ * of another file it needs, and evaluate maps a csv row and the joined value
+ * of its FIPS code to the value of the row
+ */
+export function compileExpression (expression, label) {
+  let compiled;
+  if (typeof expression === 'string') {
+    const formula = parseFormula(expression);
+    compiled = {
+      formula: expression,
+      columns: formula.columns,
+      evaluate: formula.evaluate
+    };
+  } else if (typeof expression === 'function') {
+    compiled = {
+      formula: 'custom expression',
+      columns: [],
+      evaluate: row => expression(row)
+    };
+  } else if (expression && expression.type === 'percentChange') {
+    const { from, to } = expression;
+    compiled = {
+      formula: `% change from ${from} to ${to}`,
+      columns: [from, to],
+      evaluate: row =>
+        ((parseFloat(row[to]) - parseFloat(row[from])) / parseFloat(row[from])) * 100
+    };
+  } else if (expression && expression.type === 'perCapita') {
+    const { column, population, per } = expression;
+    const joined = typeof population !== 'string';
+    compiled = {
+      formula:
+        per === 1
+          ? `${column} per capita`
+          : `${column} per ${d3.format(',')(per)} people`,
+      columns: joined ? [column] : [column, population],
+      join: joined ? population : undefined,
+      evaluate: (row, joinedValue) =>
+        (parseFloat(row[column]) /
+          (joined ? joinedValue : parseFloat(row[population]))) *
+        per
+    };
+  } else {
+    throw new Error(`Unknown value expression: ${expression}`);
+  }
+
+  const evaluate = compiled.evaluate;
+  return {
+    expression: expression,
+    label: label,
+    formula: label || compiled.formula,
+    columns: compiled.columns,
+    join: compiled.join,
+    evaluate: (row, joinedValue) => {
+      const value = evaluate(row, joinedValue);
+      return isFinite(value) ? value : NaN;
+    }
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * The postal codes of the states and territories by their FIPS codes.
+ */
+export const STATE_ABBREVIATIONS = new Map([
+  ['01', 'AL'], ['02', 'AK'], ['04', 'AZ'], ['05', 'AR'], ['06', 'CA'],
+  ['08', 'CO'], ['09', 'CT'], ['10', 'DE'], ['11', 'DC'], ['12', 'FL'],
+  ['13', 'GA'], ['15', 'HI'], ['16', 'ID'], ['17', 'IL'], ['18', 'IN'],
+  ['19', 'IA'], ['20', 'KS'], ['21', 'KY'], ['22', 'LA'], ['23', 'ME'],
+  ['24', 'MD'], ['25', 'MA'], ['26', 'MI'], ['27', 'MN'], ['28', 'MS'],
+  ['29', 'MO'], ['30', 'MT'], ['31', 'NE'], ['32', 'NV'], ['33', 'NH'],
+  ['34', 'NJ'], ['35', 'NM'], ['36', 'NY'], ['37', 'NC'], ['38', 'ND'],
+  ['39', 'OH'], ['40', 'OK'], ['41', 'OR'], ['42', 'PA'], ['44', 'RI'],
+  ['45', 'SC'], ['46', 'SD'], ['47', 'TN'], ['48', 'TX'], ['49', 'UT'],
+  ['50', 'VT'], ['51', 'VA'], ['53', 'WA'], ['54', 'WV'], ['55', 'WI'],
+  ['56', 'WY'], ['60', 'AS'], ['66', 'GU'], ['69', 'MP'], ['72', 'PR'],
+  ['78', 'VI']
+]);
+
+/**
+ * The FIPS codes of the states with independent cities.
+ */
+const INDEPENDENT_CITY_STATES = ['24', '29', '32', '51'];
+
+/**
+ * This function returns the FIPS code as the zero-padded string used by the
+ * topology, two digits for a state and five digits for a county, e.g.
+ * "01001" for 1001.
+ *
+ * @param {string|number} fips the FIPS code
+ * @returns {string} the zero-padded FIPS code
+ */
+export function normalizeFips (fips) {
+  const code = String(fips).trim();
+  return code.padStart(code.length > 2 ? 5 : 2, '0');
+}
+
+/**
+ * This function returns the name of a region qualified by its state, e.g.
+ * "Autauga County, AL", "Orleans Parish, LA" or "Texas" for a state.
+ *
+ * @param {object} feature the GeoJSON feature of the region
+ * @returns {string} the name of the region
+ */
+export function getRegionLabel (feature) {
+  const name = feature.properties.name;
+  if (feature.id.length === 2) {
+    return name;
+  }
+  const state = feature.id.slice(0, 2);
+  let type = 'County';
+  if (state === '22') {
+    type = 'Parish';
+  } else if (state === '02') {
+    type = '';
+  } else if (INDEPENDENT_CITY_STATES.indexOf(state) !== -1 && feature.id.slice(2) >= '500') {
+    /** The independent cities of these states are numbered from 500 */
+    type = /city$/i.test(name) ? '' : 'city';
+  }
+  return `${type ? `${name} ${type}` : name}, ${STATE_ABBREVIATIONS.get(state)}`;
+}
@@ -1,455 +1,276 @@
 import * as d3 from 'd3';
-import { legendColor } from 'd3-svg-legend';
-import * as topojson from 'topojson-client';
-
-class USChoropleth {
-  /**
-   * The main class that visualises the data on an US choropleth map.
-   * Instances can be created from this class and properties can be acquired and
-   * modified via the set/get functions provided.
-   *
-   * @constructor
-   * @param {string} title - The title of the graph
-   * @param {string} fileUrl - The file url of the dataset
-   * @param {string} indexColName - The column name of the FIPS code index of the data
-   * @param {string} dataColName - The column name of the data by regions
-   * @param {string} [mapUrl = /static/counties-albers-10m.json] - The file url of the US map
-   */
-  constructor (
-    title,
-    fileUrl,
-    indexColName,
-    dataColName,
-    mapUrl = '/static/counties-albers-10m.json'
-  ) {
-    this.title = title;
-    this.mapUrl = mapUrl;
-    this.fileUrl = fileUrl;
-    this.indexColName = indexColName;
-    this.dataColName = dataColName;
-    this.scaleFunction = d3.scaleSequential;
-    this.interpolateColor = d3.interpolateRainbow;
-    this.legendStep = 6;
-    this.statisLevel = 'states';
-    this.strokeColor = 'white';
-  }
-
-  /**
-   * This function sets the title of the graph.
-   *
-   * @param {string} title title of the graph
-   */
-  setTitle (title) {
-    this.title = title;
-  }
+import USChoropleth from './USChoropleth';
+import USComparison from './USComparison';
 
-  /**
-   * This function returns the title of the graph.
-   *
-   * @returns {string} title of the graph.
-   * @memberof USChoropleth
-   */
-  getTitle () {
-    return this.title;
-  }
-
-  /**
-   * This function sets the file url of the dataset.
-   *
-   * @param {string} fileUrl url of the dataset.
-   */
-  setFileUrl (fileUrl) {
-    this.fileUrl = fileUrl;
-  }
+/** An example instance created from the class, or restored from
+ * the view kept in the URL hash so that it could be shared by a link.
+ */
+var app =
+  USChoropleth.fromHash('map') ||
+  new USChoropleth(
+    'US birth number by state (2016)',
+    '/static/PopulationEstimates.csv',
+    'FIPS',
+    'Births_2016'
+  );
+
+/** The errors of the rendering, e.g. a log scale with negative values, are
+ * shown above the map, which is left as it was */
+function showErrors (map) {
+  map
+    .on('dataerror.demo', error => d3.select('#error').text(error.message))
+    .on('render.demo', () => d3.select('#error').text(''));
+}
 
-  /**
-   * This function returns the url of the current dataset.
-   *
-   * @returns {string} url of the current dataset.
-   * @memberof USChoropleth
-   */
-  getFileUrl () {
-    return this.fileUrl;
-  }
+/** The map is rendered with its errors shown by showErrors */
+function execute () {
+  return app.execute().catch(() => {});
+}
 
-  /**
-   * This functions defines the index column by passing the
-   * column name within the dataset (a csv file). The index column
-   * is the column that contains the FIPS codes which are used to index
-   * states and counties in America.
-   *
-   * @param {string} indexColName name of the FIPS code column.
-   * @memberof USChoropleth
-   */
-  setIndexColName (indexColName) {
-    this.indexColName = indexColName;
-  }
+showErrors(app);
+app.syncHash('map');
+app.mount('#USChoropleth');
+execute();
 
-  /**
-   * This functions returns the index column. The index column
-   * is the column that contains the FIPS codes which are used to index
-   * states and counties in America.
-   *
-   * @returns {string} name of the FIPS code column.
-   * @memberof USChoropleth
-   */
-  getIndexColName () {
-    return this.indexColName;
-  }
+/** Belows are serveral interactive elements that shows
+ * how the set functions could be used to modify the properties.
+ */
 
-  /**
-   * This function defines the data column by passing the
-   * the column name within the dataset (a csv file). The data column
-   * is the column that contains the statistic data measured by different regions.
-   *
-   * @param {string} indexColName name of the data column.
-   * @memberof USChoropleth
-   */
-  setDataColName (dataColName) {
-    this.dataColName = dataColName;
-  }
+/** The colours of the colour drop-down menu */
+const colorMap = {
+  viridis: d3.interpolateViridis,
+  cividis: d3.interpolateCividis,
+  rainbow: d3.interpolateRainbow,
+  blue: d3.interpolateBlues,
+  orange: d3.interpolateOranges,
+  green: d3.interpolateGreens,
+  grey: d3.interpolateGreys,
+  purple: d3.interpolatePurples,
+  red: d3.interpolateReds,
+  redBlue: d3.interpolateRdBu,
+  purpleGreen: d3.interpolatePRGn,
+  brownTeal: d3.interpolateBrBG
+};
+
+/** The scale functions of the scale function drop-down menu */
+const funcMap = {
+  seque: d3.scaleSequential,
+  sqrt: d3.scaleSequentialSqrt,
+  log: d3.scaleSequentialLog,
+  symlog: d3.scaleSequentialSymlog,
+  diverging: d3.scaleDiverging,
+  divergingSqrt: d3.scaleDivergingSqrt,
+  divergingLog: d3.scaleDivergingLog,
+  divergingSymlog: d3.scaleDivergingSymlog
+};
+
+/** The value expressions of the expression drop-down menu */
+const expressionMap = {
+  birthRate: 'Births_2016 / POP_ESTIMATE_2016 * 1000',
+  populationChange: USChoropleth.percentChange('POP_ESTIMATE_2010', 'POP_ESTIMATE_2018'),
+  deathsPerCapita: USChoropleth.perCapita('Deaths_2016', 'POP_ESTIMATE_2016', 1000)
+};
+
+/** Show the properties of the restored instance in the drop-down menus */
+const config = app.toConfig();
+d3.select('#colorDropDown').property(
+  'value',
+  Object.keys(colorMap).find(name => colorMap[name] === d3[config.color])
+);
+d3.select('#colorBlindDropDown').property('value', config.colorBlindPreview || '');
+d3.select('#funcDropDown').property(
+  'value',
+  Object.keys(funcMap).find(name => funcMap[name] === d3[config.scale])
+);
+d3.select('#midpointDropDown').property('value', config.midpoint);
+d3.select('#statisLevel').property('value', config.statisLevel);
+d3.select('#rendererDropDown').property('value', config.renderer);
+d3.select('#timeDropDown').property('value', config.timeSeries || '');
+d3.select('#classDropDown').property(
+  'value',
+  config.classification ? config.classification.method : ''
+);
+d3.select('#bivariateDropDown').property(
+  'value',
+  config.bivariate ? config.bivariate.second : ''
+);
+d3.select('#symbolDropDown').property(
+  'value',
+  config.symbols ? config.symbols.column : ''
+);
+d3.select('#expressionDropDown').property(
+  'value',
+  Object.keys(expressionMap).find(
+    name =>
+      config.valueExpression &&
+      JSON.stringify(expressionMap[name]) ===
+        JSON.stringify(config.valueExpression.expression)
+  ) || ''
+);
+d3.select('#histogramCheckBox').property('checked', config.histogram);
+d3.select('#labelDropDown').property('value', config.labels || '');
+d3.select('#titleVal').property('value', config.title);
 
-  /**
-   * This function returns the data column. The data column
-   * is the column that contains the statistic data measured by different regions.
-   *
-   * @returns {string} name of the data column.
-   * @memberof USChoropleth
-   */
-  getDataColName () {
-    return this.dataColName;
-  }
+/** A drop-down menu allows selecting different colours */
+d3.select('#colorDropDown').on('change', () => {
+  app.setColor(colorMap[d3.event.target.value]);
+  execute();
+});
 
-  /**
-   * Set the statistic level of map. Two levels are allowed:
-   *
-   * <br> <br> "states" -- display the data on states level
-   * <br> "counties" -- display the data on counties level.
-   *
-   * @param {string} level  statistic level
-   * @memberof USChoropleth
-   */
-  setStatisLevel (level) {
-    this.statisLevel = level;
-  }
+/** A colour vision drop-down menu previews the map as seen by colour-blind viewers */
+d3.select('#colorBlindDropDown').on('change', () => {
+  app.setColorBlindPreview(d3.event.target.value || undefined);
+  execute();
+});
 
-  /**
-   * This function returns an object holds configurations
-   * for different statistic level. This function does not
-   * need to be accessed by users useless there is a special purpose
-   *
-   * @returns {object} statistic level configuration object
-   * @memberof USChoropleth
-   */
-  getStatisLevelConfig () {
-    const obj = { key: this.statisLevel, func: undefined };
-    if (this.statisLevel === 'states') {
-      obj.func = d => parseInt(d || 0) * 1000;
-    } else if (this.statisLevel === 'counties') {
-      obj.func = d => parseInt(d || 0);
-    }
-    return obj;
-  }
+/** A scale function drop-down menu allows selecting different scale functions  */
+d3.select('#funcDropDown').on('change', () => {
+  app.setScaleFunction(funcMap[d3.event.target.value]);
+  execute();
+});
 
-  /**
-   * This function set a scale function that scales the original data values
-   * e.g. takes the square root of each value. Then each value will be mapped to
-   * a rgb colour (through a d3 colour interpolate function). It allows a
-   * d3 sequential scale function as the parameter. For example:
-   * <br><br> d3.scaleSequentialSqrt,
-   * <br> d3.scaleSequentialLog.
-   *
-   * @param {Function} scaleFunction d3 sequential scale function
-   * @memberof USChoropleth
-   */
-  setScaleFunction (scaleFunction) {
-    this.scaleFunction = scaleFunction;
-  }
+/** A midpoint drop-down menu allows selecting where a diverging scale diverges from */
+d3.select('#midpointDropDown').on('change', () => {
+  const midpoint = d3.event.target.value;
+  app.setMidpoint(isNaN(midpoint) ? midpoint : parseFloat(midpoint));
+  execute();
+});
 
-  /**
-   * This function takes an array that contains statistic data from every
-   * region to determine the upper and lower boundary of the scale function.
-   * Then it returns the scale function with data range and intepolate
-   * colour function defined. This function does not need to be accessed by users
-   * useless there is a special purpose
-   *
-   * @param {Array} usRegionVal
-   * @returns {Function} scale function with data range and intepolate
-   * colour function defined
-   * @memberof USChoropleth
-   */
-  getScaleFunction (usRegionVal) {
-    const scaleFunction = this.scaleFunction;
-    return scaleFunction(
-      [d3.min(usRegionVal) || 1, d3.max(usRegionVal)],
-      this.getColor()
-    );
-  }
+/** A time series drop-down menu animates a year-suffixed column family */
+d3.select('#timeDropDown').on('change', () => {
+  app.setTimeSeries(d3.event.target.value || undefined);
+  execute();
+});
 
-  /**
-   * This function set a d3 colour interpolate function which could map
-   * a numberical value to a rgb colour. It allows
-   * a d3 colour interpolate function to be the input. For example:
-   * <br><br> d3.interpolateBlues -- interpolating blue colours
-   * <br> d3.interpolateReds -- interpolating red colours.
-   *
-   * @param {Function} interpolateColor d3 interpolate function
-   * @memberof USChoropleth
-   */
-  setColor (interpolateColor) {
-    this.interpolateColor = interpolateColor;
-  }
+/** A classification drop-down menu allows selecting a classed colour scheme */
+d3.select('#classDropDown').on('change', () => {
+  app.setClassification(d3.event.target.value || undefined, 5);
+  execute();
+});
 
-  /**
-   * This function returns a d3 colour interpolate function which could map
-   * a numberical value to a rgb colour. For example:
-   * <br><br> d3.interpolateBlues -- interpolating blue colours
-   * <br> d3.interpolateReds -- interpolating red colours.
-   *
-   * @returns {Function} the d3 colour interpolate function
-   * @memberof USChoropleth
-   */
-  getColor () {
-    return this.interpolateColor;
-  }
+/** A bivariate drop-down menu shows the births together with a second column */
+d3.select('#bivariateDropDown').on('change', () => {
+  app.setBivariate(d3.event.target.value || undefined);
+  execute();
+});
 
-  /**
-   * This function set the colour of stroke (the region boundaries on the map).
-   *
-   * @param {string} strokeColor css colour
-   * @memberof USChoropleth
-   */
-  setStrokeColor (strokeColor) {
-    this.strokeColor = strokeColor;
-  }
+/** A symbol drop-down menu draws circles sized by a count above the colours */
+d3.select('#symbolDropDown').on('change', () => {
+  app.setSymbols(d3.event.target.value || undefined);
+  execute();
+});
 
-  /**
-   * This function returns the colour of the stroke.
-   *
-   * @returns {string} css colour
-   * @memberof USChoropleth
-   */
-  getStrokeColor () {
-    return this.strokeColor;
-  }
+/** An expression drop-down menu allows computing the values from several columns */
+d3.select('#expressionDropDown').on('change', () => {
+  app.setValueExpression(expressionMap[d3.event.target.value]);
+  execute();
+});
 
-  /**
-   * This function sets the legend step by passing an array containing
-   * the numerical values that are going to be displayed in the legend.
-   *
-   * @param {Array} legendStep a list of legend step values
-   * @memberof USChoropleth
-   */
-  setLegendStep (legendStep) {
-    this.legendStep = legendStep;
-  }
+/** A histogram check box shows the distribution of the values, brushed to filter the regions */
+d3.select('#histogramCheckBox').on('change', () => {
+  app.setHistogram(d3.event.target.checked);
+  execute();
+});
 
-  /**
-   * This function returns the current legend steps array
-   *
-   * @returns {Array} the current legend step values in an array
-   * @memberof USChoropleth
-   */
-  getLegengStep () {
-    return this.legendStep;
-  }
+/** A label drop-down menu labels the regions that have room for it */
+d3.select('#labelDropDown').on('change', () => {
+  app.setLabels(d3.event.target.value || undefined);
+  execute();
+});
 
-  /**
-   * This function returns the promise object that contains
-   * a js map that maps each row of FIPS index with the corresponing
-   * statistic value. This function does not need to be accessed by users
-   * useless there is a special purpose
-   *
-   * @returns {object} the index -> data map within a promise object
-   * @memberof USChoropleth
-   */
-  getCsv () {
-    return d3.csv(this.fileUrl).then(csv => {
-      console.log(this.getDataColName());
-      return new Map(
-        csv.map(row => [
-          parseInt(row[this.getIndexColName()]),
-          parseFloat(row[this.getDataColName()])
-        ])
-      );
-    });
-  }
+/** An annotate button adds a callout to each selected region, or removes their callouts if empty */
+d3.select('#annotate').on('click', () => {
+  const text = d3.select('#annotationVal').node().value;
+  app.getSelection().forEach(fips => {
+    app.removeAnnotation(fips);
+    if (text) app.addAnnotation(fips, text);
+  });
+});
 
-  /**
-   * This function returns the promise object that contains
-   * geographical data which is used by d3 to render the map.
-   * This function does not need to be accessed by users
-   * useless there is a special purpose
-   *
-   * @returns {object} geographical data within a promise object
-   * @memberof USChoropleth
-   */
-  getJson () {
-    return d3.json(this.mapUrl).then(json => {
-      return this.getCsv().then(column => {
-        const statisLevel = this.getStatisLevelConfig();
-        const usRegionVal = json.objects[statisLevel.key].geometries.map(
-          level => {
-            return column.get(statisLevel.func(level.id));
-          }
-        );
-        return {
-          us: json,
-          column: column,
-          usRegionVal: usRegionVal,
-          statisLevel: statisLevel
-        };
-      });
-    });
+/** A comparison drop-down menu compares the births of two years below the map */
+let comparison;
+d3.select('#compareDropDown').on('change', () => {
+  const mode = d3.event.target.value;
+  if (!mode) {
+    if (comparison) comparison.destroy();
+    comparison = undefined;
+    return;
   }
-
-  /**
-   * The main function that renders the corresponding visualisation on the webpage.
-   * Users should always call this function after modifing the properties
-   * properly (via the set methods provided)
-   */
-  execute () {
-    this.getJson().then(data => {
-      /** Draw the Title */
-      d3.select('#title').text(this.getTitle());
-
-      /** Clean the svg */
-      d3.select('#USChoropleth')
-        .selectAll('*')
-        .remove();
-
-      /** Get the svg selection */
-      const svg = d3
-        .select('#USChoropleth')
-        .attr('width', '75%')
-        .attr('viewBox', [0, 0, 975, 620]);
-
-      /** Get the colour interpolate function */
-      const colorScale = this.getScaleFunction(data.usRegionVal);
-
-      /** Draw the US map */
-      svg
-        .append('g')
-        .attr('id', 'usMap')
-        .selectAll('path')
-        .data(
-          topojson.feature(data.us, data.us.objects[data.statisLevel.key])
-            .features
-        )
-        .join('path')
-        .attr('fill', d =>
-          colorScale(data.column.get(data.statisLevel.func(d.id)))
-        )
-        .attr('stroke', this.getStrokeColor())
-        .attr('stroke-width', '0.1')
-        .attr('d', d3.geoPath())
-        .on('mouseover', () => {
-          d3.select(d3.event.target).style('opacity', '.6');
-        })
-        .on('mouseout', () => {
-          d3.select(d3.event.target).style('opacity', '1');
-        })
-        .append('title')
-        .text(d => {
-          return `${d.properties.name}, ${data.column.get(
-            data.statisLevel.func(d.id)
-          )}`;
-        });
-
-      /** Draw the legend */
-      svg
-        .select('g')
-        .append('g')
-        .attr('transform', 'translate(860,400)')
-        .call(
-          legendColor()
-            .title(this.getTitle())
-            .titleWidth(80)
-            .labelFormat(d3.format('.2s'))
-            .cells(this.getLegengStep())
-            .scale(colorScale)
-        );
-
-      /** Allow zoom and drag */
-      svg.call(
-        d3
-          .zoom()
-          .scaleExtent([0.5, 8])
-          .on('zoom', () => {
-            svg.select('#usMap').attr('transform', d3.event.transform);
-          })
-      );
-    });
+  if (!comparison) {
+    comparison = new USComparison(
+      new USChoropleth('US births (2016)', '/static/PopulationEstimates.csv', 'FIPS', 'Births_2016'),
+      new USChoropleth('US births (2017)', '/static/PopulationEstimates.csv', 'FIPS', 'Births_2017')
+    );
+    showErrors(comparison.first);
+    showErrors(comparison.second);
+    comparison.mount('#USComparison');
   }
-}
-
-/** An example instance created from the class */
-var app = new USChoropleth(
-  'US birth number by state (2016)',
-  '/static/PopulationEstimates.csv',
-  'FIPS',
-  'Births_2016'
-);
-app.execute();
-
-/** Belows are serveral interactive elements that shows
- * how the set functions could be used to modify the properties.
- */
-
-/** A drop-down menu allows selecting different colours */
-d3.select('#colorDropDown').on('change', () => {
-  const color = d3.event.target.value;
-  const colorMap = {
-    rainbow: d3.interpolateRainbow,
-    blue: d3.interpolateBlues,
-    orange: d3.interpolateOranges,
-    green: d3.interpolateGreens,
-    grey: d3.interpolateGreys,
-    purple: d3.interpolatePurples,
-    red: d3.interpolateReds
-  };
-
-  app.setColor(colorMap[color]);
-  app.execute();
+  comparison.setMode(mode);
+  comparison.execute().catch(() => {});
 });
 
-/** A scale function drop-down menu allows selecting different scale functions  */
-d3.select('#funcDropDown').on('change', () => {
-  const func = d3.event.target.value;
-  const funcMap = {
-    seque: d3.scaleSequential,
-    sqrt: d3.scaleSequentialSqrt,
-    log: d3.scaleSequentialLog
+/** A download button exports the map or its data in the selected format */
+d3.select('#download').on('click', () => {
+  const format = d3.select('#exportFormat').node().value;
+  const download = (blob, extension) => {
+    const url = URL.createObjectURL(blob);
+    d3.create('a')
+      .attr('href', url)
+      .attr('download', `${app.getTitle()}.${extension}`)
+      .node()
+      .click();
+    setTimeout(() => URL.revokeObjectURL(url));
   };
 
-  app.setScaleFunction(funcMap[func]);
-  app.execute();
+  if (format === 'svg') {
+    download(new window.Blob([app.exportSVG()], { type: 'image/svg+xml' }), 'svg');
+  } else if (format === 'png') {
+    app
+      .exportPNG({ scale: 2 })
+      .then(blob => download(blob, 'png'))
+      .catch(error => d3.select('#error').text(error.message));
+  } else {
+    download(
+      new window.Blob([app.exportData({ format: format })], { type: 'text/plain' }),
+      format
+    );
+  }
 });
 
 /** A statistic drop-down menu allows selecting different statistic levels */
 d3.select('#statisLevel').on('change', () => {
   app.setStatisLevel(d3.event.target.value);
-  app.execute();
+  execute();
+});
+
+/** A renderer drop-down menu allows drawing the regions on a canvas */
+d3.select('#rendererDropDown').on('change', () => {
+  app.setRenderer(d3.event.target.value);
+  execute();
 });
 
 /** A sumbit button changes the title of the visualisation */
 d3.select('#submit').on('click', () => {
   const title = d3.select('#titleVal').node().value;
   app.setTitle(title);
-  app.execute();
+  execute();
 });
 
 /** toggle between two different datasets
- * Notice that the second dataset does not support
- * state-level visualisation.
+ * Notice that the second dataset has no state rows, its
+ * state-level values are rolled up from the counties and
+ * weighted by the population of each county.
  */
 
  /**
   * Toggle button count.
   */
-var clickCount = 0;
+var clickCount = app.getFileUrl() === '/static/PopulationEstimates.csv' ? 0 : 1;
 d3.select('#toggle').on('click', () => {
   clickCount += 1;
+  /** The zoom and the colours are kept for the other dataset */
+  const previous = app.toConfig();
+  app.destroy();
   app =
     clickCount % 2 === 0
       ? new USChoropleth(
@@ -469,19 +290,31 @@ d3.select('#toggle').on('click', () => {
     app.setStatisLevel('states');
   } else {
     app.setStatisLevel('counties');
+    app.setAggregation('weightedMean', {
+      fileUrl: '/static/PopulationEstimates.csv',
+      indexColName: 'FIPS',
+      dataColName: 'POP_ESTIMATE_2018'
+    });
   }
 
   app.setStrokeColor('white');
-  app.execute();
+  app.applyConfig({
+    color: previous.color,
+    scale: previous.scale,
+    midpoint: previous.midpoint,
+    colorBlindPreview: previous.colorBlindPreview,
+    zoom: previous.zoom
+  });
+  app.setRenderer(d3.select('#rendererDropDown').property('value'));
+  app.setHistogram(d3.select('#histogramCheckBox').property('checked'));
+  app.setLabels(d3.select('#labelDropDown').property('value') || undefined);
+  showErrors(app);
+  app.syncHash('map');
+  app.mount('#USChoropleth');
+  execute();
 });
 
 /** reset the zoom of the svg graph */
 d3.select('#reset').on('click', () => {
-  const zoom = d3.zoom().on('zoom', () => {
-    d3.select('#usMap').attr('transform', d3.event.transform);
-  });
-  d3.select('#USChoropleth')
-    .transition()
-    .duration(500)
-    .call(zoom.transform, d3.zoomIdentity);
+  app.resetZoom();
 });
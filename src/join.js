@@ -0,0 +1,212 @@
+import { STATE_ABBREVIATIONS, normalizeFips } from './fips';
+
+/**
+ * The suffixes of the county names that the topology leaves out.
+ */
+const COUNTY_SUFFIX = /\s+(county|parish|borough|census area|municipality|city and borough)$/i;
+
+/**
+ * The names of the whole country, joined to the national row (FIPS 0).
+ */
+const NATIONAL_NAMES = ['unitedstates', 'us', 'usa'];
+
+/**
+ * The index of the names of the regions of each loaded topology.
+ */
+const indexCache = new WeakMap();
+
+/**
+ * The ways the rows of a dataset could be joined to the regions. Each one
+ * takes the index of the topology, the row, the name of the index column
+ * and the name of the state column, and returns the FIPS code of the row
+ * or undefined if no region is found.
+ */
+const joinKeys = {
+  fips: (index, row, indexColName) => parseFips(row[indexColName]),
+  state: (index, row, indexColName) => findState(index, row[indexColName]),
+  county: (index, row, indexColName, stateColName) => {
+    let name = String(row[indexColName] || '');
+    let state = stateColName && row[stateColName];
+    /** The state is given after the county name, e.g. "Autauga County, AL" */
+    if (!stateColName) {
+      const comma = name.lastIndexOf(',');
+      if (comma === -1) return undefined;
+      state = name.slice(comma + 1);
+      name = name.slice(0, comma);
+    }
+    const stateFips = findState(index, state);
+    return stateFips && stateFips !== '00' ? findCounty(index, stateFips, name) : undefined;
+  }
+};
+
+/**
+ * This function reads a FIPS code, zero-padded or not, e.g. "01001",
+ * "1001", 1001 or "1001.0". The census GEO_IDs such as "0500000US01001"
+ * are read as well.
+ *
+ * @param {*} value the FIPS code
+ * @returns {string} the zero-padded FIPS code, or undefined if the value is not a code
+ */
+function parseFips (value) {
+  const code = String(value === undefined || value === null ? '' : value)
+    .trim()
+    .replace(/^\d*US(?=\d+$)/, '')
+    .replace(/\.0*$/, '');
+  return /^\d{1,5}$/.test(code) ? normalizeFips(code) : undefined;
+}
+
+/**
+ * This function simplifies a name so that the different spellings of a
+ * region are the same, e.g. "St. Louis" and "Saint Louis", "DeKalb" and
+ * "De Kalb", "Doña Ana" and "Dona Ana".
+ *
+ * @param {string} name the name
+ * @returns {string} the simplified name
+ */
+function simplifyName (name) {
+  name = String(name);
+  /** Some names of the topology are utf-8 read as latin-1, e.g. "DoÃ±a Ana" */
+  if (/Ã/.test(name)) {
+    try {
+      name = decodeURIComponent(escape(name));
+    } catch (error) {}
+  }
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/^saint\b/, 'st')
+    .replace(/^sainte\b/, 'ste')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * This function splits a county name into its simplified name and whether
+ * it is an independent city, e.g. "Baltimore city" and "Baltimore County"
+ * are both "baltimore" but only the first one is a city.
+ *
+ * @param {string} name the county name
+ * @returns {object} {name, isCity}
+ */
+function splitCountyName (name) {
+  const trimmed = String(name).trim().replace(COUNTY_SUFFIX, '');
+  return {
+    name: simplifyName(trimmed.replace(/\s+city$/i, '')),
+    isCity: /\scity$/i.test(trimmed)
+  };
+}
+
+/**
+ * This function returns the index of the names of the regions of a
+ * topology: the FIPS codes of the states by their simplified names and
+ * postal codes, and the FIPS codes of the counties by the state and the
+ * simplified county name.
+ *
+ * @param {object} topology the topology of the map
+ * @returns {object} {states, counties}
+ */
+function getIndex (topology) {
+  if (!indexCache.has(topology)) {
+    const states = new Map();
+    const counties = new Map();
+    topology.objects.states.geometries.forEach(state => {
+      states.set(simplifyName(state.properties.name), state.id);
+    });
+    STATE_ABBREVIATIONS.forEach((abbreviation, fips) => {
+      states.set(abbreviation.toLowerCase(), fips);
+    });
+    NATIONAL_NAMES.forEach(name => states.set(name, '00'));
+    topology.objects.counties.geometries.forEach(county => {
+      const key = `${county.id.slice(0, 2)}:${splitCountyName(county.properties.name).name}`;
+      if (!counties.has(key)) counties.set(key, []);
+      counties.get(key).push(county.id);
+    });
+    indexCache.set(topology, { states: states, counties: counties });
+  }
+  return indexCache.get(topology);
+}
+
+/**
+ * This function finds the FIPS code of a state by its name, its postal
+ * code or its FIPS code.
+ *
+ * @param {object} index the index returned by getIndex
+ * @param {*} value the name or the code of the state
+ * @returns {string} the FIPS code, or undefined if no state is found
+ */
+function findState (index, value) {
+  const fips = parseFips(value);
+  if (fips && fips.length === 2) return fips;
+  return value === undefined || value === null ? undefined : index.states.get(simplifyName(value));
+}
+
+/**
+ * This function finds the FIPS code of a county of a state by its name.
+ * The counties and the independent cities of the same name, e.g.
+ * "Baltimore County" and "Baltimore city", are told apart by the "city"
+ * suffix, the county being chosen if there is no suffix.
+ *
+ * @param {object} index the index returned by getIndex
+ * @param {string} stateFips the FIPS code of the state
+ * @param {string} value the county name
+ * @returns {string} the FIPS code, or undefined if no county is found
+ */
+function findCounty (index, stateFips, value) {
+  const { name, isCity } = splitCountyName(value);
+  const candidates = index.counties.get(`${stateFips}:${name}`);
+  if (!candidates) return undefined;
+  /** The independent cities are numbered from 500 */
+  return (
+    candidates.find(fips => (fips.slice(2) >= '500') === isCity) || candidates[0]
+  );
+}
+
+/**
+ * This function checks whether the name is a supported join key:
+ *
+ * "fips" -- FIPS codes, zero-padded or not, e.g. "01001" or 1001
+ * "state" -- state names or postal codes, e.g. "Alabama" or "AL"
+ * "county" -- county names with their states, either in another column
+ * or after a comma, e.g. "Autauga County, AL"
+ *
+ * @param {string} name name of the join key
+ * @returns {boolean} true if the join key is supported
+ */
+export function isJoinKey (name) {
+  return Object.prototype.hasOwnProperty.call(joinKeys, name);
+}
+
+/**
+ * This function returns the key of a FIPS code in the index -> data maps
+ * of the datasets, the number of the county code, the state code being
+ * multiplied by 1000 (the code of the state rows of the county datasets).
+ *
+ * @param {string} fips the zero-padded FIPS code
+ * @returns {number} the key
+ */
+export function toKey (fips) {
+  return fips.length === 2 ? parseInt(fips) * 1000 : parseInt(fips);
+}
+
+/**
+ * This function returns the function finding the key (see toKey) of a row
+ * of a dataset, NaN if the row matches no region.
+ *
+ * @param {object} topology the topology of the map
+ * @param {string} indexColName name of the column to join on
+ * @param {object} [joinKey] {type, stateColName} where type is the join
+ * key (see isJoinKey, "fips" by default) and stateColName the name of the
+ * state column of the "county" join key
+ * @returns {Function} row -> key
+ */
+export function createJoinResolver (topology, indexColName, { type = 'fips', stateColName } = {}) {
+  if (!isJoinKey(type)) {
+    throw new Error(`Unknown join key: ${type}`);
+  }
+  const index = type === 'fips' ? undefined : getIndex(topology);
+  return row => {
+    const fips = joinKeys[type](index, row, indexColName, stateColName);
+    return fips === undefined ? NaN : toKey(fips);
+  };
+}
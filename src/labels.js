@@ -0,0 +1,142 @@
+import * as d3 from 'd3';
+
+/**
+ * The font size of the labels in pixels of the map.
+ */
+export const LABEL_FONT_SIZE = 10;
+
+/**
+ * The width of a character relative to the font size, used to estimate the
+ * size of the labels without laying them out.
+ */
+const CHAR_WIDTH = 0.6;
+
+/**
+ * The margin in pixels kept around each label so that they do not touch.
+ */
+const LABEL_MARGIN = 2;
+
+/**
+ * The texts the regions could be labelled with, see setLabels.
+ */
+const LABEL_TYPES = ['abbreviation', 'name', 'value'];
+
+/**
+ * The anchors of the features being shown, kept so that they are only
+ * computed once for each level of the topology.
+ */
+const anchorCache = new WeakMap();
+
+/**
+ * This function returns the outer ring of the largest polygon of a
+ * feature, e.g. the lower peninsula of Michigan.
+ *
+ * @param {object} feature the GeoJSON feature
+ * @returns {Array} the ring
+ */
+function getLargestRing (feature) {
+  const geometry = feature.geometry;
+  const polygons =
+    geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons
+    .map(polygon => polygon[0])
+    .reduce((largest, ring) =>
+      Math.abs(d3.polygonArea(ring)) > Math.abs(d3.polygonArea(largest)) ? ring : largest
+    );
+}
+
+/**
+ * This function checks whether the name is a supported label type:
+ * "abbreviation", "name" or "value".
+ *
+ * @param {string} name name of the label type
+ * @returns {boolean} true if the label type is supported
+ */
+export function isLabelType (name) {
+  return LABEL_TYPES.indexOf(name) !== -1;
+}
+
+/**
+ * This function returns where the regions are labelled, the centroid of
+ * the largest polygon of each region so that the label stays within its
+ * main part, together with the width, the height and the area of that
+ * polygon in the units of the map.
+ *
+ * @param {Array} features the GeoJSON features of the regions being shown
+ * @returns {Array} {point, width, height, area} of each feature
+ */
+export function getLabelAnchors (features) {
+  if (!anchorCache.has(features)) {
+    anchorCache.set(
+      features,
+      features.map(d => {
+        const ring = getLargestRing(d);
+        const [x0, x1] = d3.extent(ring, point => point[0]);
+        const [y0, y1] = d3.extent(ring, point => point[1]);
+        return {
+          point: d3.polygonCentroid(ring),
+          width: x1 - x0,
+          height: y1 - y0,
+          area: Math.abs(d3.polygonArea(ring))
+        };
+      })
+    );
+  }
+  return anchorCache.get(features);
+}
+
+/**
+ * This function returns the estimated width of a label in pixels.
+ *
+ * @param {string} text the text of the label
+ * @returns {number} the width
+ */
+export function getLabelWidth (text) {
+  return text.length * LABEL_FONT_SIZE * CHAR_WIDTH;
+}
+
+/**
+ * This function chooses the labels to show at the zoom transform. A label
+ * is shown if it fits within its region, is within the view box and does
+ * not cover a label of a larger region, so that the labels of the small
+ * regions only show once zoomed in.
+ *
+ * @param {Array} items {index, text} of the labels, index being the index of the feature
+ * @param {Array} anchors the anchors returned by getLabelAnchors
+ * @param {object} transform the d3 zoom transform of the map
+ * @param {Array} viewBox the [x, y, width, height] view box of the svg
+ * @returns {Array} {index, text, x, y} of the labels to show
+ */
+export function placeLabels (items, anchors, transform, viewBox) {
+  const placed = [];
+  items
+    .slice()
+    .sort((a, b) => anchors[b.index].area - anchors[a.index].area)
+    .forEach(item => {
+      const anchor = anchors[item.index];
+      const width = getLabelWidth(item.text);
+      if (anchor.width * transform.k < width || anchor.height * transform.k < LABEL_FONT_SIZE) {
+        return;
+      }
+      const [x, y] = transform.apply(anchor.point);
+      const box = [
+        x - width / 2 - LABEL_MARGIN,
+        y - LABEL_FONT_SIZE / 2 - LABEL_MARGIN,
+        x + width / 2 + LABEL_MARGIN,
+        y + LABEL_FONT_SIZE / 2 + LABEL_MARGIN
+      ];
+      const outside =
+        box[2] < viewBox[0] ||
+        box[0] > viewBox[0] + viewBox[2] ||
+        box[3] < viewBox[1] ||
+        box[1] > viewBox[1] + viewBox[3];
+      const overlaps = label =>
+        box[0] < label.box[2] &&
+        label.box[0] < box[2] &&
+        box[1] < label.box[3] &&
+        label.box[1] < box[3];
+      if (outside || placed.some(overlaps)) return;
+      placed.push({ index: item.index, text: item.text, x: x, y: y, box: box });
+    });
+  return placed;
+}
@@ -0,0 +1,84 @@
+import * as d3 from 'd3';
+
+/**
+ * The parsed files fetched so far, kept as promise objects by their type
+ * and url so that each file is only fetched and parsed once.
+ */
+const cache = new Map();
+
+/**
+ * The function reading the text of a file from its url, fetching it by
+ * d3.text unless it is replaced by setReader.
+ */
+let reader = url => d3.text(url);
+
+/**
+ * This function returns the cached promise object of a file, fetching the
+ * file if it is not cached yet. A failed fetch is removed from the cache so
+ * that it could be tried again.
+ *
+ * @param {string} key the type and url of the file
+ * @param {Function} fetch the function fetching and parsing the file
+ * @returns {object} the parsed file within a promise object
+ */
+function load (key, fetch) {
+  if (!cache.has(key)) {
+    const promise = fetch().catch(error => {
+      cache.delete(key);
+      throw error;
+    });
+    cache.set(key, promise);
+  }
+  return cache.get(key);
+}
+
+/**
+ * This function returns the promise object that contains the rows of the
+ * csv file at the url, parsed by d3.csvParse.
+ *
+ * @param {string} url url of the csv file
+ * @returns {object} the rows within a promise object
+ */
+export function loadCsv (url) {
+  return load(`csv:${url}`, () => reader(url).then(text => d3.csvParse(text)));
+}
+
+/**
+ * This function returns the promise object that contains the rows of the
+ * tsv file at the url, parsed by d3.tsvParse.
+ *
+ * @param {string} url url of the tsv file
+ * @returns {object} the rows within a promise object
+ */
+export function loadTsv (url) {
+  return load(`tsv:${url}`, () => reader(url).then(text => d3.tsvParse(text)));
+}
+
+/**
+ * This function returns the promise object that contains the json file
+ * at the url.
+ *
+ * @param {string} url url of the json file
+ * @returns {object} the parsed json within a promise object
+ */
+export function loadJson (url) {
+  return load(`json:${url}`, () => reader(url).then(text => JSON.parse(text)));
+}
+
+/**
+ * This function empties the cache so that the files are fetched again.
+ */
+export function clearCache () {
+  cache.clear();
+}
+
+/**
+ * This function replaces the function reading the files, e.g. by one
+ * reading the local files in Node. The cache is emptied as well.
+ *
+ * @param {Function} read url -> the text of the file within a promise object
+ */
+export function setReader (read) {
+  reader = read;
+  clearCache();
+}
@@ -0,0 +1,112 @@
+import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+
+/**
+ * The css styles hiding an element from the screen but not from the
+ * screen readers.
+ */
+export const VISUALLY_HIDDEN_STYLES = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  'white-space': 'nowrap',
+  border: 0
+};
+
+/**
+ * The directions of the arrow keys on the map.
+ */
+export const ARROW_DIRECTIONS = {
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0]
+};
+
+/**
+ * The navigation of the features being shown, kept so that the neighbours
+ * are only computed once for each level of the topology.
+ */
+const navigationCache = new WeakMap();
+
+/**
+ * This function returns the keyboard navigation between the regions, an
+ * object holding the neighbours of each region (computed with
+ * topojson.neighbors), the centroids of the regions and the Tab order.
+ * The Tab order walks from the north-west through the neighbouring regions,
+ * so that the next region is next to the previous one wherever possible.
+ *
+ * @param {Array} features the GeoJSON features of the regions being shown
+ * @param {Array} geometries the topojson geometries of the same regions
+ * @returns {object} {neighbors, centroids, order}
+ */
+export function getNavigation (features, geometries) {
+  if (!navigationCache.has(features)) {
+    const neighbors = topojson.neighbors(geometries);
+    const path = d3.geoPath();
+    const centroids = features.map(d => path.centroid(d));
+    const west = i => centroids[i][0];
+
+    const visited = features.map(() => false);
+    const remaining = d3
+      .range(features.length)
+      .sort((a, b) => west(a) + centroids[a][1] - (west(b) + centroids[b][1]));
+    const order = [];
+    remaining.forEach(start => {
+      const stack = [start];
+      while (stack.length) {
+        const i = stack.pop();
+        if (visited[i]) continue;
+        visited[i] = true;
+        order.push(i);
+
+        /** The western neighbours are visited first */
+        neighbors[i]
+          .filter(j => !visited[j])
+          .sort((a, b) => west(b) - west(a))
+          .forEach(j => stack.push(j));
+      }
+    });
+    navigationCache.set(features, {
+      neighbors: neighbors,
+      centroids: centroids,
+      order: order
+    });
+  }
+  return navigationCache.get(features);
+}
+
+/**
+ * This function finds the region next to the given one in the direction
+ * of an arrow key. The neighbouring regions within 60 degrees of the
+ * direction are preferred, then any region in that direction, e.g. from an
+ * island. It returns -1 if no region is found.
+ *
+ * @param {object} navigation the navigation returned by getNavigation
+ * @param {number} index index of the region
+ * @param {Array} direction the [x, y] direction, see ARROW_DIRECTIONS
+ * @returns {number} index of the region found
+ */
+export function findNeighbor (navigation, index, direction) {
+  const [x, y] = navigation.centroids[index];
+
+  /** The closer and the straighter the better */
+  const score = i => {
+    const dx = navigation.centroids[i][0] - x;
+    const dy = navigation.centroids[i][1] - y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const cos = (dx * direction[0] + dy * direction[1]) / distance;
+    return distance && cos > 0.5 ? distance / cos : Infinity;
+  };
+  const best = candidates => {
+    const scored = candidates.filter(i => score(i) < Infinity);
+    return scored.length ? scored[d3.scan(scored, (a, b) => score(a) - score(b))] : -1;
+  };
+
+  const neighbor = best(navigation.neighbors[index]);
+  return neighbor !== -1 ? neighbor : best(d3.range(navigation.centroids.length));
+}
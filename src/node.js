@@ -0,0 +1,375 @@
+import fs from 'fs';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { Resvg } from '@resvg/resvg-js';
+import USChoropleth from './USChoropleth';
+import { setReader } from './loader';
+
+/**
+ * The root folder of the project, where the default map is looked up.
+ */
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * The width of a character relative to the font size, used to estimate
+ * the size of the texts as jsdom does not lay them out.
+ */
+const CHAR_WIDTH = 0.6;
+
+/**
+ * The window the maps are rendered in, created once and shared by the maps.
+ */
+let sharedWindow;
+
+/**
+ * The folder the relative file paths are resolved from by the current reader.
+ */
+let readerBaseDir;
+
+/**
+ * This function parses the translation of the transform attribute of an
+ * element. Rotations and scales are ignored by the estimated sizes.
+ *
+ * @param {Element} node the svg element
+ * @returns {Array} the [x, y] translation
+ */
+function getTranslation (node) {
+  const match = /translate\(\s*([-\d.e]+)[\s,]*([-\d.e]+)?\s*\)/.exec(
+    node.getAttribute('transform') || ''
+  );
+  return match ? [parseFloat(match[1]), parseFloat(match[2]) || 0] : [0, 0];
+}
+
+/**
+ * This function returns the font size of a text element, inherited from
+ * its ancestors, or the default size of the browsers.
+ *
+ * @param {Element} node the text element
+ * @returns {number} the font size in pixels
+ */
+function getFontSize (node) {
+  for (let element = node; element && element.getAttribute; element = element.parentNode) {
+    const size = parseFloat(element.style.fontSize || element.getAttribute('font-size'));
+    if (!isNaN(size)) return size;
+  }
+  return 16;
+}
+
+/**
+ * This function estimates the width of the text of an element.
+ *
+ * @param {Element} node the text or tspan element
+ * @returns {number} the width in pixels
+ */
+function estimateTextLength (node) {
+  return node.textContent.length * getFontSize(node) * CHAR_WIDTH;
+}
+
+/**
+ * This function estimates the bounding box of an svg element, which jsdom
+ * does not compute. It is used by the legends to lay out their labels.
+ *
+ * @param {Element} node the svg element
+ * @returns {object} the {x, y, width, height} box
+ */
+function estimateBBox (node) {
+  const number = name => parseFloat(node.getAttribute(name)) || 0;
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+  const extend = (left, top, right, bottom) => {
+    x0 = Math.min(x0, left);
+    y0 = Math.min(y0, top);
+    x1 = Math.max(x1, right);
+    y1 = Math.max(y1, bottom);
+  };
+
+  const tag = node.tagName.toLowerCase();
+  if (tag === 'text') {
+    const fontSize = getFontSize(node);
+    const width = estimateTextLength(node);
+    const anchor = node.getAttribute('text-anchor') || node.style.textAnchor;
+    const dy = node.getAttribute('dy') || '';
+    const left = number('x') - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+    const top =
+      number('y') +
+      (parseFloat(dy) || 0) * (/em$/.test(dy) ? fontSize : 1) -
+      fontSize * 0.8;
+    extend(left, top, left + width, top + fontSize);
+  } else if (tag === 'rect' || tag === 'image' || tag === 'foreignObject') {
+    extend(number('x'), number('y'), number('x') + number('width'), number('y') + number('height'));
+  } else if (tag === 'line') {
+    extend(
+      Math.min(number('x1'), number('x2')),
+      Math.min(number('y1'), number('y2')),
+      Math.max(number('x1'), number('x2')),
+      Math.max(number('y1'), number('y2'))
+    );
+  } else if (tag === 'circle') {
+    extend(number('cx') - number('r'), number('cy') - number('r'), number('cx') + number('r'), number('cy') + number('r'));
+  } else if (tag === 'path') {
+    const values = (node.getAttribute('d') || '').match(/-?[\d.]+(?:e-?\d+)?/g) || [];
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      extend(+values[i], +values[i + 1], +values[i], +values[i + 1]);
+    }
+  } else if (tag !== 'defs' && tag !== 'marker' && tag !== 'pattern') {
+    Array.from(node.children).forEach(child => {
+      const box = estimateBBox(child);
+      if (!box.width && !box.height) return;
+      const [tx, ty] = getTranslation(child);
+      extend(box.x + tx, box.y + ty, box.x + tx + box.width, box.y + ty + box.height);
+    });
+  }
+  return x0 === Infinity
+    ? { x: 0, y: 0, width: 0, height: 0 }
+    : { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * This function returns the window the maps are rendered in. The svg
+ * elements are given an estimated getBBox and getComputedTextLength as
+ * jsdom has no layout.
+ *
+ * @returns {object} the jsdom window
+ */
+function getWindow () {
+  if (!sharedWindow) {
+    sharedWindow = new JSDOM('<!DOCTYPE html><html><body></body></html>').window;
+    sharedWindow.SVGElement.prototype.getBBox = function () {
+      return estimateBBox(this);
+    };
+    sharedWindow.SVGElement.prototype.getComputedTextLength = function () {
+      return estimateTextLength(this);
+    };
+  }
+  return sharedWindow;
+}
+
+/**
+ * This function reads a local file. Relative paths are resolved from the
+ * base folder, and the paths starting with "/" (the urls of the webpage,
+ * e.g. the default "/static/counties-albers-10m.json") are also looked up
+ * in the base folder and in the project folder. Urls are not fetched.
+ *
+ * @param {string} url path of the file
+ * @param {string} baseDir the folder the relative paths are resolved from
+ * @returns {object} the text of the file within a promise object
+ */
+function readLocalFile (url, baseDir) {
+  if (/^[a-z]+:\/\//i.test(url)) {
+    return Promise.reject(new Error(`Only local files could be read: ${url}`));
+  }
+  const relative = url.replace(/^\/+/, '');
+  const candidates = [
+    path.resolve(baseDir, url),
+    path.resolve(baseDir, relative),
+    path.resolve(PROJECT_ROOT, relative)
+  ];
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    return Promise.reject(new Error(`No file found: ${url}`));
+  }
+  return fs.promises
+    .readFile(file, 'utf8')
+    .then(text => text.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * This function converts an svg document into a png image.
+ *
+ * @param {string} svg the svg document
+ * @param {number} [scale = 1] the factor the image is enlarged by
+ * @returns {Buffer} the png image
+ */
+export function svgToPNG (svg, scale = 1) {
+  return new Resvg(svg, {
+    background: 'white',
+    fitTo: { mode: 'zoom', value: scale },
+    font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' }
+  })
+    .render()
+    .asPng();
+}
+
+/**
+ * This function renders a map in Node and returns it as an svg document,
+ * and as a png image if asked. The options are the configuration object
+ * of USChoropleth.fromConfig, i.e. the arguments of the constructor
+ * (title, fileUrl, indexColName, dataColName, mapUrl) and the properties
+ * returned by toConfig, with local file paths instead of urls. The year of
+ * the time mode to show could be given as well. The map is always drawn
+ * by the svg renderer.
+ *
+ * @param {object} config the configuration of the map
+ * @param {object} [options] render options
+ * @param {string} [options.baseDir = process.cwd()] the folder the relative file paths are resolved from
+ * @param {number} [options.year] the year of the time mode to show
+ * @param {boolean} [options.png = false] whether the png image is rendered as well
+ * @param {number} [options.scale = 1] the factor the png image is enlarged by
+ * @returns {object} {svg, png} within a promise object
+ */
+export function renderMap (config, { baseDir = process.cwd(), year, png = false, scale = 1 } = {}) {
+  const window = getWindow();
+  if (readerBaseDir !== baseDir) {
+    readerBaseDir = baseDir;
+    setReader(url => readLocalFile(url, baseDir));
+  }
+
+  const app = USChoropleth.fromConfig(Object.assign({}, config, { renderer: 'svg' }));
+  app.setTimeInterval(0);
+  const container = window.document.body.appendChild(
+    window.document.createElement('div')
+  );
+  app.mount(container);
+  const cleanUp = () => {
+    app.destroy();
+    container.remove();
+  };
+
+  return app
+    .render()
+    .then(() => {
+      if (year !== undefined) {
+        app.setYear(year);
+      }
+      const svg = app.exportSVG();
+      cleanUp();
+      return { svg: svg, png: png ? svgToPNG(svg, scale) : undefined };
+    })
+    .catch(error => {
+      cleanUp();
+      throw error;
+    });
+}
+
+/**
+ * This function renders a map and writes it into the svg and png files.
+ *
+ * @param {object} config the configuration of the map, see renderMap
+ * @param {object} files the output paths
+ * @param {string} [files.svg] path of the svg file
+ * @param {string} [files.png] path of the png file
+ * @param {object} [options] render options, see renderMap
+ * @returns {object} the list of the written paths within a promise object
+ */
+export function renderToFiles (config, files, options = {}) {
+  return renderMap(config, Object.assign({}, options, { png: !!files.png })).then(
+    ({ svg, png }) => {
+      const written = [];
+      if (files.svg) {
+        fs.mkdirSync(path.dirname(files.svg), { recursive: true });
+        fs.writeFileSync(files.svg, svg);
+        written.push(files.svg);
+      }
+      if (files.png) {
+        fs.mkdirSync(path.dirname(files.png), { recursive: true });
+        fs.writeFileSync(files.png, png);
+        written.push(files.png);
+      }
+      return written;
+    }
+  );
+}
+
+/**
+ * This function lists the maps of a batch manifest, one for each column
+ * or year of each entry. This function does not need to be accessed by
+ * users useless there is a special purpose
+ *
+ * @param {object} manifest the batch manifest, see renderBatch
+ * @returns {Array} a list of {name, config, year} objects
+ */
+export function expandManifest (manifest) {
+  const defaults = manifest.defaults || {};
+  const maps = [];
+  (manifest.maps || []).forEach((entry, i) => {
+    const config = Object.assign({}, defaults, entry);
+    delete config.name;
+    delete config.columns;
+    delete config.years;
+    const name = entry.name || entry.dataColName || entry.timeSeries || `map-${i + 1}`;
+    const fill = (text, column, year) =>
+      text &&
+      text
+        .replace(/\{column\}/g, column === undefined ? '' : column)
+        .replace(/\{year\}/g, year === undefined ? '' : year);
+
+    if (entry.columns) {
+      entry.columns.forEach(column => {
+        maps.push({
+          name: `${name}-${column}`,
+          config: Object.assign({}, config, {
+            dataColName: column,
+            title: fill(config.title, column)
+          })
+        });
+      });
+    } else if (entry.years) {
+      if (!config.timeSeries) {
+        throw new Error(`The years of the map "${name}" need a timeSeries prefix`);
+      }
+      entry.years.forEach(year => {
+        maps.push({
+          name: `${name}-${year}`,
+          config: Object.assign({}, config, { title: fill(config.title, undefined, year) }),
+          year: year
+        });
+      });
+    } else {
+      maps.push({ name: name, config: config });
+    }
+  });
+  return maps;
+}
+
+/**
+ * This function renders every map of a batch manifest into its own files.
+ * The manifest is an object holding:
+ *
+ * "maps" -- a list of map configurations (see renderMap), each with a
+ * "name" used by its file names. An entry with a "columns" list is rendered
+ * once for each column, and an entry with a "timeSeries" prefix and a
+ * "years" list once for each year. "{column}" and "{year}" in the title are
+ * replaced by the column and the year.
+ * "defaults" -- the configuration shared by the maps
+ * "outDir" -- the folder of the output files, "." by default
+ * "formats" -- a list of "svg" and "png", ["svg"] by default
+ * "scale" -- the factor the png images are enlarged by, 1 by default
+ *
+ * The relative paths of the manifest are resolved from the base folder.
+ * The maps are rendered one after another.
+ *
+ * @param {object} manifest the batch manifest
+ * @param {object} [options] batch options
+ * @param {string} [options.baseDir = process.cwd()] the folder the relative paths are resolved from
+ * @returns {object} the list of the written paths within a promise object
+ */
+export function renderBatch (manifest, { baseDir = process.cwd() } = {}) {
+  const outDir = path.resolve(baseDir, manifest.outDir || '.');
+  const formats = manifest.formats || ['svg'];
+  const unknown = formats.filter(format => format !== 'svg' && format !== 'png');
+  if (unknown.length) {
+    throw new Error(`Unknown output format: ${unknown.join(', ')}`);
+  }
+
+  const written = [];
+  return expandManifest(manifest)
+    .reduce((previous, map) => {
+      const fileName = map.name.replace(/[^\w.-]+/g, '_');
+      const files = {};
+      formats.forEach(format => {
+        files[format] = path.join(outDir, `${fileName}.${format}`);
+      });
+      return previous
+        .then(() =>
+          renderToFiles(map.config, files, {
+            baseDir: baseDir,
+            year: map.year,
+            scale: manifest.scale || 1
+          })
+        )
+        .then(paths => written.push(...paths));
+    }, Promise.resolve())
+    .then(() => written);
+}
@@ -0,0 +1,424 @@
+import * as d3 from 'd3';
+import { VISUALLY_HIDDEN_STYLES } from './navigation';
+
+/**
+ * The width of the borders of the regions, in the units of the map.
+ */
+const STROKE_WIDTH = 0.1;
+
+/**
+ * The opacity of the region under the cursor.
+ */
+const HOVER_OPACITY = 0.6;
+
+/**
+ * The opacity of the regions faded out by a filter, e.g. the brushed range
+ * of the histogram.
+ */
+const DIMMED_OPACITY = 0.15;
+
+/**
+ * The colour and the width in pixels of the outline of the selected regions.
+ */
+const HIGHLIGHT_COLOR = 'black';
+const HIGHLIGHT_WIDTH = 1.5;
+
+/**
+ * The colour and the width in pixels of the outline of the region focused
+ * by the keyboard.
+ */
+const FOCUS_COLOR = '#005fcc';
+const FOCUS_WIDTH = 3;
+
+/**
+ * The renderers supported by createRenderer. Each one takes no argument and
+ * returns an object drawing the regions of the map with the methods:
+ *
+ * draw(group, features, viewBox, listeners) -- draws the regions into the
+ * map group, calling the mouseover, mousemove, mouseout and click
+ * listeners with the feature of the region under the cursor, and the focus
+ * and blur listeners once the keyboard focus enters or leaves a region
+ * (the canvas renderer gives no feature as the canvas is focused as a whole)
+ * fill(fill, duration) -- colours the regions by the fill function of the
+ * features, transitioning the colours over the duration if it is given
+ * stroke(color) -- sets the colour of the borders of the regions
+ * highlight(isSelected) -- outlines the regions whose features pass the
+ * isSelected function
+ * dim(isDimmed) -- fades out the regions whose features pass the isDimmed
+ * function
+ * hover(feature) -- shows the region as under the cursor, or no region if
+ * no feature is given
+ * label(label) -- sets the texts read out by the screen readers for the
+ * regions by the label function of the features
+ * focus(feature) -- moves the keyboard focus to the region and outlines it,
+ * or removes the outline if no feature is given
+ * zoom(transform) -- applies the zoom transform of the map
+ */
+const renderers = {
+  svg: () => svgRenderer(),
+  canvas: () => canvasRenderer()
+};
+
+/**
+ * This function returns the svg renderer, which draws each region as a path
+ * element of a layer of the map group. The layer is transformed by the zoom.
+ *
+ * @returns {object} the renderer
+ */
+function svgRenderer () {
+  let layer;
+  let paths;
+  let focusPath;
+  let strokeColor;
+  let isSelected = () => false;
+
+  /** The selected regions are raised so that their outlines are not covered */
+  const outline = () => {
+    const active = layer.node().ownerDocument.activeElement;
+    paths
+      .attr('stroke', d => (isSelected(d) ? HIGHLIGHT_COLOR : strokeColor))
+      .attr('stroke-width', d => (isSelected(d) ? HIGHLIGHT_WIDTH : STROKE_WIDTH))
+      .attr('vector-effect', d => (isSelected(d) ? 'non-scaling-stroke' : null))
+      .attr('aria-pressed', d => isSelected(d))
+      /** Moving the focused region in the document would take the focus away */
+      .filter(function (d) {
+        return isSelected(d) && this !== active;
+      })
+      .raise();
+    focusPath.raise();
+  };
+
+  return {
+    draw (group, features, viewBox, listeners) {
+      layer = group.append('g');
+      paths = layer
+        .selectAll('path')
+        .data(features)
+        .join('path')
+        .attr('stroke-width', STROKE_WIDTH)
+        .attr('d', d3.geoPath())
+        .attr('role', 'button')
+        .attr('tabindex', (d, i) => (i ? -1 : 0))
+        .style('outline', 'none')
+        .on('focus', d => listeners.focus(d))
+        .on('blur', d => listeners.blur(d))
+        .on('mouseover', d => {
+          d3.select(d3.event.target).style('opacity', HOVER_OPACITY);
+          listeners.mouseover(d);
+        })
+        .on('mousemove', d => listeners.mousemove(d))
+        .on('mouseout', d => {
+          d3.select(d3.event.target).style('opacity', 1);
+          listeners.mouseout(d);
+        })
+        .on('click', d => listeners.click(d));
+
+      /** The focused region is outlined above the others */
+      focusPath = layer
+        .append('path')
+        .attr('fill', 'none')
+        .attr('stroke', FOCUS_COLOR)
+        .attr('stroke-width', FOCUS_WIDTH)
+        .attr('vector-effect', 'non-scaling-stroke')
+        .attr('pointer-events', 'none')
+        .attr('aria-hidden', true);
+    },
+    fill (fill, duration) {
+      paths.interrupt('time');
+      (duration ? paths.transition('time').duration(duration) : paths).attr(
+        'fill',
+        fill
+      );
+    },
+    stroke (color) {
+      strokeColor = color;
+      outline();
+    },
+    highlight (selected) {
+      isSelected = selected;
+      outline();
+    },
+    dim (dimmed) {
+      paths.attr('fill-opacity', d => (dimmed(d) ? DIMMED_OPACITY : null));
+    },
+    hover (feature) {
+      paths.style('opacity', d => (d === feature ? HOVER_OPACITY : 1));
+    },
+    label (label) {
+      paths.attr('aria-label', label);
+    },
+    focus (feature) {
+      if (feature) {
+        /** Only the focused region is reached by Tab from outside the map */
+        const node = paths
+          .attr('tabindex', d => (d === feature ? 0 : -1))
+          .filter(d => d === feature)
+          .node();
+        if (node !== node.ownerDocument.activeElement) node.focus();
+      }
+      focusPath.attr('d', feature ? d3.geoPath()(feature) : null);
+    },
+    zoom (transform) {
+      layer.attr('transform', transform);
+    }
+  };
+}
+
+/**
+ * This function returns the canvas renderer, which draws the regions on a
+ * canvas placed in the map group. The canvas is drawn again on each zoom
+ * instead of transforming thousands of path elements. The region under the
+ * cursor is found on a hidden picking canvas, where each region is filled
+ * with a colour encoding its index, and is then checked against its path. The colours are changed at once as the
+ * canvas has no transitions.
+ *
+ * @returns {object} the renderer
+ */
+function canvasRenderer () {
+  const path = d3.geoPath();
+  const pickingPath = d3.geoPath();
+  const patterns = new Map();
+  let layer;
+  let context;
+  let pickingContext;
+  let features = [];
+  let fills = [];
+  let strokeColor;
+  let transform = d3.zoomIdentity;
+  let hover;
+  let focused;
+  let isSelected = () => false;
+  let isDimmed = () => false;
+  let label = () => '';
+  let canvas;
+  let status;
+  let pickingDrawn = false;
+  let size;
+  let ratio;
+
+  /** The hatch pattern of the svg is drawn as a canvas pattern with the same colours */
+  const getFill = fill => {
+    const match = /^url\(#(.+)\)$/.exec(fill);
+    if (!match) return fill;
+    if (!patterns.has(fill)) {
+      const pattern = d3.select(layer.node().ownerSVGElement).select(`#${match[1]}`);
+      const line = pattern.select('line');
+      /** The lines are 45 degrees apart by about the 4 units of the svg pattern */
+      const tileSize = Math.round(4 * Math.SQRT2);
+      const tile = d3
+        .create('canvas')
+        .attr('width', tileSize)
+        .attr('height', tileSize)
+        .node();
+      const tileContext = tile.getContext('2d');
+      tileContext.fillStyle = pattern.select('rect').attr('fill');
+      tileContext.fillRect(0, 0, tileSize, tileSize);
+      tileContext.strokeStyle = line.attr('stroke');
+      tileContext.lineWidth = line.attr('stroke-width');
+      tileContext.beginPath();
+      [0, tileSize, 2 * tileSize].forEach(c => {
+        tileContext.moveTo(c, 0);
+        tileContext.lineTo(c - tileSize, tileSize);
+      });
+      tileContext.stroke();
+      patterns.set(fill, context.createPattern(tile, 'repeat'));
+    }
+    return patterns.get(fill);
+  };
+
+  const redraw = () => {
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, size[0], size[1]);
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
+    features.forEach((d, i) => {
+      context.beginPath();
+      path(d);
+      context.globalAlpha =
+        (d === hover ? HOVER_OPACITY : 1) * (isDimmed(d) ? DIMMED_OPACITY : 1);
+      context.fillStyle = getFill(fills[i]);
+      context.fill();
+    });
+    context.globalAlpha = 1;
+    context.beginPath();
+    features.forEach(d => path(d));
+    context.lineWidth = STROKE_WIDTH;
+    context.strokeStyle = strokeColor;
+    context.stroke();
+
+    const selected = features.filter(isSelected);
+    if (selected.length) {
+      context.beginPath();
+      selected.forEach(d => path(d));
+      context.lineWidth = HIGHLIGHT_WIDTH / transform.k;
+      context.strokeStyle = HIGHLIGHT_COLOR;
+      context.stroke();
+    }
+
+    if (focused) {
+      context.beginPath();
+      path(focused);
+      context.lineWidth = FOCUS_WIDTH / transform.k;
+      context.strokeStyle = FOCUS_COLOR;
+      context.stroke();
+    }
+  };
+
+  /** The picking canvas is drawn once the cursor moves after a zoom */
+  const pick = () => {
+    if (!pickingDrawn) {
+      pickingContext.setTransform(1, 0, 0, 1, 0, 0);
+      pickingContext.clearRect(0, 0, size[0], size[1]);
+      pickingContext.translate(transform.x, transform.y);
+      pickingContext.scale(transform.k, transform.k);
+      features.forEach((d, i) => {
+        const color = i + 1;
+        pickingContext.beginPath();
+        pickingPath(d);
+        pickingContext.fillStyle = `rgb(${color & 255},${(color >> 8) & 255},${(color >> 16) & 255})`;
+        pickingContext.fill();
+      });
+      pickingDrawn = true;
+    }
+    const [x, y] = d3.mouse(layer.node());
+    const [r, g, b, a] = pickingContext.getImageData(Math.round(x), Math.round(y), 1, 1).data;
+    const d = a ? features[r + (g << 8) + (b << 16) - 1] : undefined;
+    if (!d) return undefined;
+
+    /**
+     * The colours on the edges of the regions are blended by anti-aliasing
+     * and could decode to any region, so the region found is checked against
+     * its own path
+     */
+    pickingContext.beginPath();
+    pickingPath(d);
+    return pickingContext.isPointInPath(x, y) ? d : undefined;
+  };
+
+  return {
+    draw (group, data, viewBox, listeners) {
+      layer = group;
+      features = data;
+      fills = [];
+      size = [viewBox[2], viewBox[3]];
+      const svgWidth = group.node().ownerSVGElement.getBoundingClientRect().width;
+      ratio = Math.max(1, svgWidth / size[0]) * (window.devicePixelRatio || 1);
+
+      const foreignObject = group
+        .append('foreignObject')
+        .attr('x', viewBox[0])
+        .attr('y', viewBox[1])
+        .attr('width', size[0])
+        .attr('height', size[1]);
+      canvas = foreignObject
+        .append('xhtml:canvas')
+        .attr('width', size[0] * ratio)
+        .attr('height', size[1] * ratio)
+        .attr('tabindex', 0)
+        .attr('role', 'img')
+        .style('display', 'block')
+        .style('width', `${size[0]}px`)
+        .style('height', `${size[1]}px`)
+        .style('outline', 'none');
+
+      /** The regions are not elements, so the focused one is read out from here */
+      status = foreignObject.append('xhtml:div').attr('aria-live', 'polite');
+      Object.keys(VISUALLY_HIDDEN_STYLES).forEach(name => {
+        status.style(name, VISUALLY_HIDDEN_STYLES[name]);
+      });
+      context = canvas.node().getContext('2d');
+      path.context(context);
+      pickingContext = d3
+        .create('canvas')
+        .attr('width', size[0])
+        .attr('height', size[1])
+        .node()
+        .getContext('2d');
+      pickingPath.context(pickingContext);
+      pickingDrawn = false;
+
+      canvas
+        .on('mousemove', () => {
+          const d = pick();
+          if (d !== hover) {
+            if (hover) listeners.mouseout(hover);
+            hover = d;
+            if (d) listeners.mouseover(d);
+            redraw();
+          } else if (d) {
+            listeners.mousemove(d);
+          }
+        })
+        .on('mouseout', () => {
+          if (!hover) return;
+          listeners.mouseout(hover);
+          hover = undefined;
+          redraw();
+        })
+        .on('click', () => {
+          const d = pick();
+          if (d) listeners.click(d);
+        })
+        .on('focus', () => listeners.focus())
+        .on('blur', () => listeners.blur());
+    },
+    fill (fill) {
+      patterns.clear();
+      fills = features.map(fill);
+      redraw();
+    },
+    stroke (color) {
+      strokeColor = color;
+      if (fills.length) redraw();
+    },
+    highlight (selected) {
+      isSelected = selected;
+      if (fills.length) redraw();
+    },
+    dim (dimmed) {
+      isDimmed = dimmed;
+      if (fills.length) redraw();
+    },
+    hover (feature) {
+      hover = feature;
+      if (fills.length) redraw();
+    },
+    label (labelFunction) {
+      label = labelFunction;
+      if (focused) canvas.attr('aria-label', label(focused));
+    },
+    focus (feature) {
+      const node = canvas.node();
+      if (feature && node !== node.ownerDocument.activeElement) node.focus();
+      if (feature && feature !== focused) status.text(label(feature));
+      focused = feature;
+      canvas.attr('aria-label', feature ? label(feature) : null);
+      if (fills.length) redraw();
+    },
+    zoom (zoomTransform) {
+      transform = zoomTransform;
+      pickingDrawn = false;
+      if (fills.length) redraw();
+    }
+  };
+}
+
+/**
+ * This function checks whether the name is a supported renderer.
+ *
+ * @param {string} name name of the renderer
+ * @returns {boolean} true if the renderer is supported
+ */
+export function isRenderer (name) {
+  return Object.prototype.hasOwnProperty.call(renderers, name);
+}
+
+/**
+ * This function creates a renderer of the regions, either "svg" or "canvas".
+ *
+ * @param {string} name name of the renderer
+ * @returns {object} the renderer, see the renderers table
+ */
+export function createRenderer (name) {
+  return renderers[name]();
+}
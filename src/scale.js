@@ -0,0 +1,96 @@
+import * as d3 from 'd3';
+
+/**
+ * The diverging scale functions, whose domain is [min, midpoint, max].
+ */
+const DIVERGING_SCALES = [
+  d3.scaleDiverging,
+  d3.scaleDivergingSqrt,
+  d3.scaleDivergingPow,
+  d3.scaleDivergingLog,
+  d3.scaleDivergingSymlog
+];
+
+/**
+ * The log scale functions, which are only defined for positive values.
+ */
+const LOG_SCALES = [d3.scaleSequentialLog, d3.scaleDivergingLog];
+
+/**
+ * The midpoints of the diverging scales computed from the data. Each one
+ * takes the values of the regions and the national value.
+ */
+const midpoints = {
+  national: (values, national) => {
+    if (national === undefined || isNaN(national)) {
+      throw new Error(
+        'The dataset has no values to compute the national value used as the midpoint from'
+      );
+    }
+    return national;
+  },
+  median: values => d3.median(values)
+};
+
+/**
+ * This function checks whether the scale function is a diverging one.
+ *
+ * @param {Function} scaleFunction d3 scale function
+ * @returns {boolean} true if the scale function is diverging
+ */
+export function isDivergingScale (scaleFunction) {
+  return DIVERGING_SCALES.indexOf(scaleFunction) !== -1;
+}
+
+/**
+ * This function checks whether the midpoint is a number or one of
+ * "national" and "median".
+ *
+ * @param {number|string} midpoint the midpoint of a diverging scale
+ * @returns {boolean} true if the midpoint is supported
+ */
+export function isMidpoint (midpoint) {
+  return typeof midpoint === 'number'
+    ? !isNaN(midpoint)
+    : Object.prototype.hasOwnProperty.call(midpoints, midpoint);
+}
+
+/**
+ * This function returns the domain of a sequential or diverging scale,
+ * [min, max] or [min, midpoint, max] of the values. Missing values are
+ * ignored. A midpoint outside the range of the values is moved to the
+ * nearest end of the range, so that the values are coloured by one side
+ * of the diverging scale. It throws an error if the scale could not show
+ * the values, e.g. a log scale with values that are not positive.
+ *
+ * @param {Function} scaleFunction d3 sequential or diverging scale function
+ * @param {Array} values the values of the regions
+ * @param {number|string} midpoint the midpoint of a diverging scale, see isMidpoint
+ * @param {number} [national] the national value
+ * @returns {Array} the domain of the scale
+ */
+export function getDomain (scaleFunction, values, midpoint, national) {
+  values = values.filter(
+    value => value !== undefined && value !== null && !isNaN(value)
+  );
+  const [min, max] = d3.extent(values);
+  const isLog = LOG_SCALES.indexOf(scaleFunction) !== -1;
+  if (isLog && min <= 0) {
+    const count = values.filter(value => value <= 0).length;
+    throw new Error(
+      `A log scale could not show the ${count} values that are zero or negative, use a symlog scale instead`
+    );
+  }
+  if (!isDivergingScale(scaleFunction)) {
+    return [min, max];
+  }
+
+  const mid = typeof midpoint === 'number' ? midpoint : midpoints[midpoint](values, national);
+  if (isLog && mid <= 0) {
+    throw new Error(`A log scale could not diverge from a midpoint of ${mid}`);
+  }
+  if (min === undefined) {
+    return [min, mid, max];
+  }
+  return [min, Math.max(min, Math.min(mid, max)), max];
+}
@@ -0,0 +1,106 @@
+import { loadCsv, loadJson, loadTsv } from './loader';
+
+/**
+ * The formats of the data files. Each one takes the url and the options
+ * of the data source and returns the rows within a promise object.
+ */
+const formats = {
+  csv: source => loadCsv(source.url),
+  tsv: source => loadTsv(source.url),
+  json: source => loadJson(source.url).then(json => toRows(getPath(json, source.path)))
+};
+
+/**
+ * This function returns the property of a json object at a dotted path,
+ * e.g. "data.rows", or the object itself if no path is given.
+ *
+ * @param {object} json the json object
+ * @param {string} [path] the dotted path of the property
+ * @returns {*} the property
+ */
+function getPath (json, path) {
+  return path
+    ? path.split('.').reduce((value, key) => (value ? value[key] : undefined), json)
+    : json;
+}
+
+/**
+ * The rows of each list of records, kept so that the same list gives the
+ * same rows, which the joins and the parsed columns are cached by.
+ */
+const rowCache = new WeakMap();
+
+/**
+ * This function checks a list of records and returns them as the rows of
+ * a dataset, with the names of their fields as the columns (as d3.csvParse
+ * does). The rows are converted once for each list.
+ *
+ * @param {Array} records a list of objects
+ * @returns {Array} the rows
+ */
+function toRows (records) {
+  if (!Array.isArray(records)) {
+    throw new Error('The data source does not hold a list of rows');
+  }
+  if (rowCache.has(records)) {
+    return rowCache.get(records);
+  }
+  const columns = [];
+  records.forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (columns.indexOf(key) === -1) columns.push(key);
+    });
+  });
+  const rows = records.slice();
+  rows.columns = columns;
+  rowCache.set(records, rows);
+  return rows;
+}
+
+/**
+ * This function returns the format of a data file from the extension of
+ * its url, "csv" by default.
+ *
+ * @param {string} url url of the data file
+ * @returns {string} "csv", "tsv" or "json"
+ */
+export function getSourceFormat (url) {
+  const extension = /\.(\w+)$/.exec(url.replace(/[?#].*$/, ''));
+  const name = extension && extension[1].toLowerCase();
+  if (name === 'tsv' || name === 'tab') return 'tsv';
+  if (name === 'json') return 'json';
+  return 'csv';
+}
+
+/**
+ * This function loads the rows of a data source, which is either:
+ *
+ * the url of a csv, tsv or json file, the format being told by its extension;
+ * a list of row objects kept in memory, e.g. [{FIPS: "01001", rate: 5.1}];
+ * an object {url, format, path} giving the format of the file ("csv", "tsv"
+ * or "json") and, for a json file, the dotted path of the list of rows
+ * within the json, e.g. "data.rows".
+ *
+ * The rows hold a "columns" list of the column names as d3.csvParse does.
+ * The files are cached, see loader, and so are the rows of a list, so a
+ * list changed in place has to be passed again as a new list.
+ *
+ * @param {string|Array|object} source the data source
+ * @returns {object} the rows within a promise object
+ */
+export function loadSource (source) {
+  if (Array.isArray(source)) {
+    return Promise.resolve().then(() => toRows(source));
+  }
+  if (typeof source === 'string') {
+    source = { url: source };
+  }
+  if (!source || typeof source.url !== 'string') {
+    throw new Error(`Unknown data source: ${source}`);
+  }
+  const format = source.format || getSourceFormat(source.url);
+  if (!Object.prototype.hasOwnProperty.call(formats, format)) {
+    throw new Error(`Unknown data format: ${format}`);
+  }
+  return formats[format](source);
+}
@@ -0,0 +1,100 @@
+/**
+ * The css styles of the tooltip element.
+ */
+export const TOOLTIP_STYLES = {
+  position: 'absolute',
+  'pointer-events': 'none',
+  'z-index': 10,
+  display: 'none',
+  padding: '6px 8px',
+  background: 'rgba(255, 255, 255, 0.95)',
+  border: '1px solid #999',
+  'border-radius': '3px',
+  'font-family': 'sans-serif',
+  'font-size': '12px',
+  'line-height': '1.4'
+};
+
+/**
+ * This function escapes the html special characters of the text.
+ *
+ * @param {*} text the text to escape
+ * @returns {string} the escaped text
+ */
+export function escapeHtml (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * This function returns the ordinal of the number, e.g. 1st, 2nd, 12th.
+ *
+ * @param {number} n a positive integer
+ * @returns {string} the ordinal
+ */
+export function ordinal (n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : suffixes[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+/**
+ * This function fills a tooltip template. Each {key} placeholder is replaced
+ * by the field of the tooltip context with the same name, or by the column of
+ * the csv row if the context has no such field, e.g. "{name}: {value}" or
+ * "{Area_Name}, {State}". The values are html escaped.
+ *
+ * @param {string} template the tooltip template
+ * @param {object} context the tooltip context
+ * @returns {string} the tooltip html
+ */
+export function fillTemplate (template, context) {
+  return template.replace(/\{([^{}]+)\}/g, (placeholder, key) => {
+    const value = key in context ? context[key] : context.row[key];
+    return value === undefined ? '' : escapeHtml(value);
+  });
+}
+
+/**
+ * The default tooltip, showing the name, the value and the rank of the
+ * region, its difference from the national value, the number of counties
+ * of a rolled-up state, the second value of the bivariate mode, and the
+ * base value of the difference map or the source of a region found in one
+ * source only.
+ *
+ * @param {object} context the tooltip context
+ * @returns {string} the tooltip html
+ */
+export function defaultTooltip (context) {
+  const lines = [`<strong>${escapeHtml(context.name)}</strong>`];
+  lines.push(
+    `${escapeHtml(context.colName)}: ${escapeHtml(context.formattedValue)}`
+  );
+  if (context.secondName) {
+    lines.push(
+      `${escapeHtml(context.secondName)}: ${escapeHtml(context.formattedSecondValue)}`
+    );
+  }
+  if (context.rank) {
+    lines.push(
+      `${context.rankText}, ${ordinal(Math.round(context.percentile))} percentile`
+    );
+  }
+  if (context.difference !== undefined) {
+    lines.push(`${escapeHtml(context.formattedDifference)} from the national value`);
+  }
+  if (context.count !== undefined) {
+    lines.push(`${context.count} counties`);
+  }
+  if (context.onlyIn) {
+    lines.push(
+      context.onlyIn === 'data' ? 'Not found in the base source' : 'Found in the base source only'
+    );
+  } else if (context.baseValue !== undefined && !isNaN(context.baseValue)) {
+    lines.push(`Base value: ${escapeHtml(context.formattedBaseValue)}`);
+  }
+  return lines.join('<br>');
+}